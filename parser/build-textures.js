@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+
+/**
+ * Pipeline hors-ligne des textures HD : validation, variantes WebP réduites et manifest
+ * Usage: npm run textures [-- --assets chemin/vers/assets]
+ *
+ * - Chaque sous-dossier de assets/textures et assets/planets est un biome (nom du dossier)
+ * - Les calques déclarés dans le registre des biomes doivent exister et être en puissance de deux
+ * - Les dossiers absents du registre sont pris en compte par convention ({biome}_{calque}.png)
+ * - Le manifest (assets/textures-manifest.json) remplace les listes de fichiers côté viewer
+ */
+
+import fs from 'fs/promises';
+import { join, dirname, extname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { getBiomes } from '../src/biome-registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_ASSETS_DIR = join(__dirname, '../src/assets');
+const MANIFEST_FILE = 'textures-manifest.json';
+const MANIFEST_VERSION = 1;
+
+/**
+ * Dossiers scannés sous assets/ (un sous-dossier par biome)
+ */
+const ASSET_FOLDERS = ['textures', 'planets'];
+
+const SOURCE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+/**
+ * Largeurs des variantes réduites ; la plus petite sert d'aperçu
+ */
+const VARIANT_WIDTHS = [1024, 512, 256, 64];
+const WEBP_QUALITY = 85;
+
+/**
+ * Calques découverts sur disque (hors registre) : suffixe du fichier → nom du calque côté viewer
+ */
+const LAYER_ALIASES = {
+	clouds_bump: 'cloudsbump',
+	cloud_bump: 'cloudsbump',
+	islands: 'lava',
+};
+
+function isPowerOfTwo(n) {
+	return n > 0 && (n & (n - 1)) === 0;
+}
+
+function parseArgs(argv) {
+	const assetsIndex = argv.indexOf('--assets');
+	return {
+		assetsDir: assetsIndex >= 0 ? argv[assetsIndex + 1] : DEFAULT_ASSETS_DIR,
+	};
+}
+
+async function listDirectory(dir) {
+	try {
+		return await fs.readdir(dir, { withFileTypes: true });
+	} catch (error) {
+		if (error.code === 'ENOENT') return [];
+		throw error;
+	}
+}
+
+/**
+ * Fichiers sources présents sur disque, par biome : Map<biome, { path, files: Set }>
+ */
+async function scanAssets(assetsDir) {
+	const folders = new Map();
+
+	for (const folder of ASSET_FOLDERS) {
+		for (const entry of await listDirectory(join(assetsDir, folder))) {
+			if (!entry.isDirectory()) continue;
+
+			const files = (await listDirectory(join(assetsDir, folder, entry.name)))
+				.filter(file => file.isFile() && SOURCE_EXTENSIONS.includes(extname(file.name).toLowerCase()))
+				.map(file => file.name);
+
+			// Clé du biome en minuscules, comme celles attribuées par le parser
+			folders.set(entry.name.toLowerCase(), { path: `${folder}/${entry.name}`, files: new Set(files) });
+		}
+	}
+
+	return folders;
+}
+
+/**
+ * Calques attendus par biome : déclarés dans le registre, sinon déduits des noms de fichiers
+ * @returns {Map<string, {path: string, layers: Object<string, string>, registered: boolean}>}
+ */
+function resolveLayers(folders) {
+	const biomes = new Map();
+
+	getBiomes().forEach(biome => {
+		if (!biome.textures) return;
+		biomes.set(biome.key, { path: biome.textures.path, layers: { ...biome.textures.files }, registered: true });
+	});
+
+	folders.forEach(({ path, files }, key) => {
+		if (biomes.has(key)) return;
+
+		const layers = {};
+		files.forEach(file => {
+			const name = basename(file, extname(file)).toLowerCase();
+			if (!name.startsWith(`${key}_`)) return;
+			const suffix = name.slice(key.length + 1);
+			layers[LAYER_ALIASES[suffix] ?? suffix] = file;
+		});
+
+		biomes.set(key, { path, layers, registered: false });
+	});
+
+	return biomes;
+}
+
+function variantName(file, width) {
+	const name = basename(file, extname(file));
+	return width ? `${name}.${width}.webp` : `${name}.webp`;
+}
+
+/**
+ * Écrit une variante WebP si absente ou plus ancienne que la source
+ */
+async function writeVariant(sourcePath, targetPath, width) {
+	try {
+		const [source, target] = await Promise.all([fs.stat(sourcePath), fs.stat(targetPath)]);
+		if (target.mtimeMs >= source.mtimeMs) return false;
+	} catch (error) {
+		if (error.code !== 'ENOENT') throw error;
+	}
+
+	let image = sharp(sourcePath);
+	if (width) {
+		image = image.resize({ width });
+	}
+	await image.webp({ quality: WEBP_QUALITY }).toFile(targetPath);
+	return true;
+}
+
+/**
+ * Valide un calque et génère ses variantes
+ * @returns {{entry: object|null, errors: object[], generated: number}}
+ */
+async function processLayer(assetsDir, biomeKey, path, layer, file) {
+	const sourcePath = join(assetsDir, path, file);
+	const metadata = await sharp(sourcePath).metadata();
+	const errors = [];
+
+	if (!isPowerOfTwo(metadata.width) || !isPowerOfTwo(metadata.height)) {
+		errors.push({
+			biome: biomeKey,
+			layer,
+			file,
+			reason: `Not power-of-two (${metadata.width}x${metadata.height})`,
+		});
+	}
+
+	const widths = [null, ...VARIANT_WIDTHS.filter(width => width < metadata.width)];
+	let generated = 0;
+	const variants = [];
+
+	for (const width of widths) {
+		const variantFile = variantName(file, width);
+		if (await writeVariant(sourcePath, join(assetsDir, path, variantFile), width)) {
+			generated++;
+		}
+
+		const variantWidth = width ?? metadata.width;
+		variants.push({
+			file: variantFile,
+			width: variantWidth,
+			height: Math.round(metadata.height * variantWidth / metadata.width),
+		});
+	}
+
+	return {
+		entry: {
+			source: { file, width: metadata.width, height: metadata.height },
+			variants,
+		},
+		errors,
+		generated,
+	};
+}
+
+async function main() {
+	console.log('🎨 Pipeline des textures HD');
+	console.log('='.repeat(50));
+
+	const { assetsDir } = parseArgs(process.argv.slice(2));
+
+	try {
+		await fs.access(assetsDir);
+	} catch (error) {
+		console.error(`❌ Erreur: Le dossier d'assets ${assetsDir} n'existe pas`);
+		process.exit(1);
+	}
+
+	try {
+		const folders = await scanAssets(assetsDir);
+		const biomes = resolveLayers(folders);
+		const manifest = { version: MANIFEST_VERSION, biomes: {} };
+		const errors = [];
+		const used = new Set();
+		let generated = 0;
+
+		for (const key of [...biomes.keys()].sort()) {
+			const { path, layers, registered } = biomes.get(key);
+			const folder = folders.get(key);
+			const entry = { path, layers: {} };
+
+			if (!registered) {
+				console.log(`📁 ${key}: absent du registre des biomes, calques déduits des noms de fichiers`);
+			}
+
+			for (const layer of Object.keys(layers).sort()) {
+				const file = layers[layer];
+
+				if (!folder?.files.has(file)) {
+					errors.push({ biome: key, layer, file, reason: 'Missing file' });
+					continue;
+				}
+
+				used.add(`${path}/${file}`);
+				const result = await processLayer(assetsDir, key, path, layer, file);
+				entry.layers[layer] = result.entry;
+				errors.push(...result.errors);
+				generated += result.generated;
+			}
+
+			if (Object.keys(entry.layers).length > 0) {
+				manifest.biomes[key] = entry;
+			}
+		}
+
+		const unused = [];
+		folders.forEach(({ path, files }) => {
+			files.forEach(file => {
+				if (!used.has(`${path}/${file}`)) unused.push(`${path}/${file}`);
+			});
+		});
+
+		const manifestPath = join(assetsDir, MANIFEST_FILE);
+		await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2), 'utf-8');
+
+		console.log(`\n✅ ${Object.keys(manifest.biomes).length} biomes avec textures HD`);
+		console.log(`🖼️  ${generated} variantes WebP générées`);
+		console.log(`💾 Manifest sauvegardé: ${manifestPath}`);
+
+		if (unused.length > 0) {
+			console.log(`\n📦 ${unused.length} fichiers non utilisés:`);
+			unused.sort().forEach(file => console.log(`  • ${file}`));
+		}
+
+		if (errors.length > 0) {
+			console.log(`\n⚠️  ${errors.length} erreurs de textures:`);
+			errors.forEach(err => {
+				console.log(`  • ${err.biome}/${err.layer}: ${err.file} (${err.reason})`);
+			});
+			process.exitCode = 1;
+		}
+	} catch (error) {
+		console.error('❌ Erreur lors du traitement des textures:', error);
+		process.exit(1);
+	}
+}
+
+main();
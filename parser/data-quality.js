@@ -0,0 +1,195 @@
+/**
+ * Rapport de qualité des données des sources : anomalies relevées ligne par ligne par le parser
+ * Sévérités :
+ *   error   ligne ignorée (grille invalide, colonnes décalées non réparées)
+ *   warning ligne gardée mais douteuse (doublon, région inconnue, décalage réparé, conflit entre sources),
+ *           ou système d'une source secondaire écarté (découpage incertain, quasi-doublon)
+ *   info    à vérifier (secteur vide, espaces superflus, fusion entre sources)
+ * --strict fait échouer le parser s'il reste des erreurs ou des avertissements.
+ */
+
+export const ISSUE_TYPES = {
+	shiftedColumns: 'Colonnes décalées',
+	malformedGrid: 'Grille invalide',
+	unknownRegion: 'Région inconnue',
+	duplicate: 'Système en double',
+	emptySector: 'Secteur vide',
+	whitespace: 'Espaces superflus',
+	conflict: 'Conflit entre sources',
+	mergedField: 'Champ complété par une autre source',
+	addedSystem: 'Système ajouté par une autre source',
+	skippedSystem: 'Système écarté (découpage incertain ou quasi-doublon)',
+	pdfSplit: 'Découpage système/secteur incertain (PDF)',
+};
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+// Au-delà, le résumé console n'affiche que les premiers exemples d'un type (tout est dans le JSON)
+const SUMMARY_EXAMPLES = 5;
+
+/**
+ * Décalage de colonnes évident et sa réparation
+ * Cas reconnus :
+ *   « Ishbix;AgarixMid Rim;K-17 »      secteur et région collés (3 colonnes)
+ *   « Isobi;Inner Rim;M-8 »            secteur absent (3 colonnes)
+ *   « Ithor;Ottega;Mid Rim;;M-6 »      colonne vide avant la grille
+ *   « Irith;Hutt Space;;S-11 »         région dans la colonne secteur
+ * @param parts Colonnes déjà nettoyées des espaces
+ * @param options.isGrid (value) => boolean
+ * @param options.regions Noms de régions connus
+ * @returns {{columns: string[] | null, reason: string} | null} columns null si non réparable
+ */
+export function detectColumnShift(parts, { isGrid, regions }) {
+	const byLength = [...regions].sort((a, b) => b.length - a.length);
+
+	if (parts.length === 3 && isGrid(parts[2])) {
+		const [system, merged, grid] = parts;
+		const region = byLength.find(name => merged.endsWith(name));
+		if (!region) {
+			return { columns: null, reason: 'Grille dans la colonne région, secteur et région illisibles' };
+		}
+
+		const sector = merged.slice(0, merged.length - region.length).trim();
+		return {
+			columns: [system, sector, region, grid],
+			reason: sector ? 'Secteur et région collés dans une seule colonne' : 'Colonne secteur absente',
+		};
+	}
+
+	if (parts.length === 5 && parts[3] === '' && isGrid(parts[4])) {
+		const [system, sector, region, , grid] = parts;
+		return { columns: [system, sector, region, grid], reason: 'Colonne vide avant la grille' };
+	}
+
+	if (parts.length >= 4 && parts[2] === '' && regions.includes(parts[1])) {
+		const [system, region, , grid] = parts;
+		return { columns: [system, '', region, grid], reason: 'Région dans la colonne secteur' };
+	}
+
+	return null;
+}
+
+export class DataQualityReport {
+	constructor() {
+		this.sources = [];
+		this.rows = 0;
+		this.issues = [];
+	}
+
+	/**
+	 * @param source { path, format, rows, systems } (path relatif au dépôt)
+	 */
+	addSource(source) {
+		this.sources.push(source);
+	}
+
+	/**
+	 * @param issue { type, severity, source, line?, system?, message, raw?, repaired? }
+	 */
+	add(issue) {
+		this.issues.push(issue);
+	}
+
+	/**
+	 * Valeurs entourées d'espaces (les colonnes vides de fin de ligne sont ignorées)
+	 */
+	checkWhitespace(line, system, rawParts, raw, source) {
+		const padded = rawParts.filter(part => part !== part.trim() && part.trim() !== '');
+		if (padded.length === 0) return;
+
+		this.add({
+			type: 'whitespace',
+			severity: 'info',
+			source,
+			line,
+			system,
+			message: padded.map(part => JSON.stringify(part)).join(', '),
+			raw,
+		});
+	}
+
+	/**
+	 * Noms de systèmes présents sur plusieurs lignes d'une même source
+	 * @param linesByName Map<nom, numéros de ligne>
+	 */
+	checkDuplicates(linesByName, source) {
+		linesByName.forEach((lines, system) => {
+			if (lines.length < 2) return;
+			this.add({
+				type: 'duplicate',
+				severity: 'warning',
+				source,
+				line: lines[0],
+				system,
+				message: `Lignes ${lines.join(', ')}`,
+			});
+		});
+	}
+
+	count(severity) {
+		return this.issues.filter(issue => issue.severity === severity).length;
+	}
+
+	/**
+	 * Le parser doit-il échouer en mode --strict ?
+	 */
+	hasBlockingIssues() {
+		return this.count('error') > 0 || this.count('warning') > 0;
+	}
+
+	toJSON() {
+		const byType = {};
+		Object.keys(ISSUE_TYPES).forEach(type => {
+			byType[type] = this.issues.filter(issue => issue.type === type).length;
+		});
+
+		// Ordre des sources, puis des lignes
+		const sourceOrder = new Map(this.sources.map((source, index) => [source.path, index]));
+		const position = (issue) => sourceOrder.get(issue.source) ?? this.sources.length;
+
+		return {
+			sources: this.sources,
+			summary: {
+				rows: this.rows,
+				errors: this.count('error'),
+				warnings: this.count('warning'),
+				infos: this.count('info'),
+				repaired: this.issues.filter(issue => issue.repaired).length,
+				byType,
+			},
+			issues: [...this.issues].sort((a, b) => position(a) - position(b) || (a.line ?? 0) - (b.line ?? 0)),
+		};
+	}
+
+	/**
+	 * Résumé lisible : erreurs et avertissements en entier, infos limitées à quelques exemples
+	 */
+	print() {
+		const { summary } = this.toJSON();
+		const sources = this.sources.map(source => source.path).join(' + ');
+		console.log(`\n🩺 Qualité des données (${sources}): ${summary.rows} lignes, ` +
+			`${summary.errors} erreurs, ${summary.warnings} avertissements, ${summary.infos} infos` +
+			(summary.repaired > 0 ? `, ${summary.repaired} réparées` : ''));
+
+		SEVERITY_ORDER.forEach(severity => {
+			Object.entries(ISSUE_TYPES).forEach(([type, label]) => {
+				const issues = this.issues.filter(issue => issue.type === type && issue.severity === severity);
+				if (issues.length === 0) return;
+
+				console.log(`\n${SEVERITY_ICONS[severity]} ${label} (${issues.length})`);
+				const shown = severity === 'info' ? issues.slice(0, SUMMARY_EXAMPLES) : issues;
+				shown.forEach(issue => {
+					// Le fichier n'est précisé que si plusieurs sources sont fusionnées
+					const where = this.sources.length > 1
+						? `${issue.source}${issue.line ? `:${issue.line}` : ''}: `
+						: (issue.line ? `Ligne ${issue.line}: ` : '');
+					console.log(`  • ${where}${issue.system ?? '-'} - ${issue.message}`);
+				});
+				if (shown.length < issues.length) {
+					console.log(`  ... et ${issues.length - shown.length} autres (voir le rapport JSON)`);
+				}
+			});
+		});
+	}
+}
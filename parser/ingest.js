@@ -0,0 +1,261 @@
+/**
+ * Ingestion multi-sources : lit chaque source (CSV, JSON, PDF), normalise ses lignes
+ * ({ name, sector, region, grid, x, y }) et les fusionne dans l'ordre des sources.
+ *
+ * Fusion par nom de système (insensible à la casse et aux espaces, grille en départage des homonymes) :
+ *   - la première source fait foi et garde son ordre ;
+ *   - un champ vide est complété par une source suivante (info mergedField) ;
+ *   - deux valeurs différentes, espaces ignorés, sont signalées (warning conflict), la première est gardée ;
+ *   - un système absent des sources précédentes est ajouté (info addedSystem), sauf si son découpage
+ *     était incertain ou s'il ressemble à un système connu (warning skippedSystem).
+ */
+
+import { extname } from 'path';
+import { readCSV } from './sources/csv.js';
+import { readJSON } from './sources/json.js';
+import { readPDF } from './sources/pdf.js';
+
+export const SOURCE_READERS = {
+	csv: readCSV,
+	json: readJSON,
+	geojson: readJSON,
+	pdf: readPDF,
+};
+
+const MERGED_FIELDS = ['sector', 'region', 'grid'];
+
+// Comparaison entre sources : casse et espaces ignorés (le PDF espace parfois les lettres : « Tr a x »)
+const mergeKey = (value) => value.replace(/\s+/g, '').toLowerCase();
+
+// Quasi-doublons : lettres et chiffres seulement (« Eva -T » ~ « Eva-T »)
+const looseKey = (value) => mergeKey(value).replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Format déduit de l'extension (csv, json, geojson, pdf)
+ */
+export function detectFormat(path) {
+	const format = extname(path).slice(1).toLowerCase();
+	if (!SOURCE_READERS[format]) {
+		throw new Error(`Format inconnu pour ${path} (formats: ${Object.keys(SOURCE_READERS).join(', ')})`);
+	}
+	return format;
+}
+
+/**
+ * Parse une coordonnée de grille (ex: "M-10") et retourne {x, y}
+ */
+export function parseGridCoord(gridStr) {
+	if (!gridStr || typeof gridStr !== 'string') {
+		return null;
+	}
+
+	const cleaned = gridStr.trim().replace(/\r\n.*/, '');
+	const match = cleaned.match(/^([A-Z])-(\d+)$/);
+
+	if (match) {
+		const letter = match[1];
+		const number = parseInt(match[2], 10);
+		const x = letter.charCodeAt(0) - 'A'.charCodeAt(0) + 1;
+		const y = number;
+		return { x, y };
+	}
+
+	return null;
+}
+
+/**
+ * Valide les lignes d'une source : grille, région, secteur, doublons
+ * @returns Systèmes normalisés { name, sector, region, grid, x, y, source, line }
+ */
+function normalizeRows(rows, { label, report, regions }) {
+	const systems = [];
+	const linesByName = new Map();
+
+	rows.forEach(({ name, sector, region, grid, line, raw, ambiguous = false }) => {
+		const coords = parseGridCoord(grid);
+
+		if (!coords) {
+			report.add({
+				type: 'malformedGrid',
+				severity: 'error',
+				source: label,
+				line,
+				system: name,
+				message: grid ? `« ${grid} »` : 'Grille vide',
+				raw,
+			});
+			return;
+		}
+
+		if (!regions.includes(region)) {
+			report.add({
+				type: 'unknownRegion',
+				severity: 'warning',
+				source: label,
+				line,
+				system: name,
+				message: region ? `« ${region} »` : 'Région vide',
+			});
+		}
+
+		if (!sector) {
+			report.add({ type: 'emptySector', severity: 'info', source: label, line, system: name, message: 'Secteur vide' });
+		}
+
+		if (!linesByName.has(name)) linesByName.set(name, []);
+		linesByName.get(name).push(line);
+
+		systems.push({ name, sector, region, grid: grid.trim(), x: coords.x, y: coords.y, source: label, line, ambiguous });
+	});
+
+	report.checkDuplicates(linesByName, label);
+
+	return systems;
+}
+
+/**
+ * Deux noms à une modification près (substitution, ajout ou suppression d'un caractère)
+ */
+function isOneEditApart(a, b) {
+	if (Math.abs(a.length - b.length) > 1) return false;
+
+	let i = 0;
+	while (i < a.length && a[i] === b[i]) i++;
+	if (a.length === b.length) return a.slice(i + 1) === b.slice(i + 1);
+	return a.length > b.length ? a.slice(i + 1) === b.slice(i) : a.slice(i) === b.slice(i + 1);
+}
+
+/**
+ * Index des systèmes retenus : nom exact (mergeKey), nom approché (looseKey), case de grille
+ */
+function createIndex() {
+	return { byName: new Map(), byLooseName: new Set(), byGrid: new Map() };
+}
+
+function indexSystem(index, system) {
+	const key = mergeKey(system.name);
+	if (!index.byName.has(key)) index.byName.set(key, []);
+	index.byName.get(key).push(system);
+
+	index.byLooseName.add(looseKey(system.name));
+
+	if (!index.byGrid.has(system.grid)) index.byGrid.set(system.grid, []);
+	index.byGrid.get(system.grid).push(system);
+}
+
+/**
+ * Système connu au nom presque identique : même nom approché, ou à une lettre près dans la même case
+ */
+function findNearDuplicate(index, system) {
+	const key = looseKey(system.name);
+	if (index.byLooseName.has(key)) {
+		return [...index.byName.values()].flat().find(candidate => looseKey(candidate.name) === key);
+	}
+	return (index.byGrid.get(system.grid) ?? []).find(candidate => isOneEditApart(looseKey(candidate.name), key));
+}
+
+/**
+ * Fusionne une source secondaire dans les systèmes déjà retenus
+ */
+function mergeSystems(merged, index, systems, report) {
+	systems.forEach(system => {
+		const candidates = index.byName.get(mergeKey(system.name));
+
+		if (!candidates) {
+			const nearDuplicate = findNearDuplicate(index, system);
+			if (system.ambiguous || nearDuplicate) {
+				report.add({
+					type: 'skippedSystem',
+					severity: 'warning',
+					source: system.source,
+					line: system.line,
+					system: system.name,
+					message: nearDuplicate
+						? `Proche de « ${nearDuplicate.name} » (${nearDuplicate.grid}, ${nearDuplicate.source}), non ajouté`
+						: `Découpage système/secteur incertain, non ajouté (${system.grid})`,
+				});
+				return;
+			}
+
+			merged.push(system);
+			indexSystem(index, system);
+			report.add({
+				type: 'addedSystem',
+				severity: 'info',
+				source: system.source,
+				line: system.line,
+				system: system.name,
+				message: `Absent des sources précédentes (${system.grid})`,
+			});
+			return;
+		}
+
+		const target = candidates.find(candidate => candidate.grid === system.grid) ?? candidates[0];
+
+		MERGED_FIELDS.forEach(field => {
+			const value = system[field].replace(/\s+/g, ' ').trim();
+			if (!value || mergeKey(value) === mergeKey(target[field])) return;
+
+			if (!target[field]) {
+				target[field] = value;
+				report.add({
+					type: 'mergedField',
+					severity: 'info',
+					source: system.source,
+					line: system.line,
+					system: system.name,
+					message: `${field} complété: « ${value} »`,
+				});
+				return;
+			}
+
+			report.add({
+				type: 'conflict',
+				severity: 'warning',
+				source: system.source,
+				line: system.line,
+				system: system.name,
+				message: `${field}: « ${target[field]} » (${target.source}) ≠ « ${value} »`,
+			});
+		});
+	});
+}
+
+/**
+ * Lit, normalise et fusionne les sources dans l'ordre
+ * @param inputs [{ path, label, format, fieldMap }] (format déduit de l'extension, fieldMap propre à la source)
+ * @param options { report, regions, fieldMap, repair } (fieldMap par défaut)
+ * @returns Systèmes fusionnés { name, sector, region, grid, x, y, source, line }
+ */
+export async function ingestSources(inputs, { report, regions, fieldMap = {}, repair = false }) {
+	const merged = [];
+	const index = createIndex();
+	// Noms et secteurs déjà connus : aident à découper les lignes collées du PDF
+	const known = { names: new Set(), sectors: new Set() };
+	const isGrid = (value) => parseGridCoord(value) !== null;
+
+	for (const input of inputs) {
+		const { path, label, format = detectFormat(path) } = input;
+		const context = { label, report, regions, fieldMap: input.fieldMap ?? fieldMap, repair, isGrid, known };
+		const rows = await SOURCE_READERS[format](path, context);
+		const systems = normalizeRows(rows, context);
+
+		report.addSource({ path: label, format, rows: rows.length, systems: systems.length });
+
+		if (merged.length === 0) {
+			systems.forEach(system => {
+				merged.push(system);
+				indexSystem(index, system);
+			});
+		} else {
+			mergeSystems(merged, index, systems, report);
+		}
+
+		systems.forEach(({ name, sector }) => {
+			known.names.add(name.toLowerCase());
+			if (sector) known.sectors.add(sector.toLowerCase());
+		});
+	}
+
+	return merged;
+}
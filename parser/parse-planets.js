@@ -1,33 +1,47 @@
 #!/usr/bin/env node
 
 /**
- * Script pour convertir star_wars_galaxy.csv en JSON pour Three.js
+ * Script pour convertir les sources de la galaxie (CSV, JSON, PDF) en JSON pour Three.js
+ *
+ * Options :
+ *   --input <fichier>            source, répétable (la première fait foi) ; défaut assets/star_wars_galaxy.csv
+ *   --format <csv|json|pdf>      format de l'--input précédent (défaut : extension du fichier)
+ *   --map champ=Colonne,...      colonnes/clés des champs name, sector, region, grid de l'--input précédent
+ *                                (avant tout --input : de toutes les sources ; cf. sources/fields.js)
+ *   --output <dossier>           dossier des fichiers générés (défaut src/)
+ *   --output-formats json,bin    fichiers de planètes générés
+ *   --report <fichier>           rapport de qualité (défaut assets/data-quality-report.json,
+ *                                ou data-quality-report.json dans le dossier d'--output)
+ *   --repair, --strict           cf. data-quality.js
  */
 
 import fs from 'fs/promises';
-import { join, dirname } from 'path';
+import { join, dirname, relative, resolve } from 'path';
 import { fileURLToPath } from 'url';
+import { hashString } from '../src/random.js';
+import { getBiome, getGenericBiomes } from '../src/biome-registry.js';
+import { encodePlanetsBinary } from '../src/planets-format.js';
+import { DataQualityReport } from './data-quality.js';
+import { ingestSources, detectFormat, SOURCE_READERS } from './ingest.js';
+import { parseFieldMap } from './sources/fields.js';
+import { validatePlanetDetails, getPlanetField } from '../src/planet-schema.js';
+import { getFaction } from '../src/eras.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-/**
- * Biomes disponibles (génériques)
- */
-const AVAILABLE_GENERIC_BIOMES = ['volcanic', 'oceanic'];
+const ROOT_DIR = join(__dirname, '..');
+
+const DEFAULT_INPUT = join(ROOT_DIR, 'assets/star_wars_galaxy.csv');
+const DEFAULT_OUTPUT_DIR = join(ROOT_DIR, 'src');
+
+// planets.json : source lisible ; planets.bin : format colonnaire chargé par le viewer
+const OUTPUT_FORMATS = ['json', 'bin'];
 
 /**
- * Couleurs par biome (pour affichage low-res dans la galaxie)
+ * Fichier optionnel pour forcer le biome d'un système: { "Coruscant": "coruscant", ... }
  */
-const BIOME_COLORS = {
-	volcanic: '#ff4500',
-	coruscant: '#808080',
-	taris: '#3d5c1d',
-	desert: '#d4a574',
-	ice: '#e0f6ff',
-	oceanic: '#1a4d7a',
-	earth: '#3d5c1d',
-};
+const BIOME_OVERRIDES_PATH = join(__dirname, '../assets/biome-overrides.json');
 
 /**
  * Couleurs par région (pour les nuages régionaux)
@@ -46,10 +60,71 @@ const REGION_COLORS = {
 	'Hutt Space': '#ff0000',     // Rouge
 };
 
+const REGION_NAMES = Object.keys(REGION_COLORS);
+
+/**
+ * Rapport de qualité des données (JSON), régénéré à chaque parsing
+ */
+const DATA_QUALITY_REPORT_NAME = 'data-quality-report.json';
+const DEFAULT_DATA_QUALITY_REPORT_PATH = join(__dirname, '../assets', DATA_QUALITY_REPORT_NAME);
+
+/**
+ * Hyperlanes canoniques: [{ name, color, systems: [...] }]
+ */
+const HYPERLANES_PATH = join(__dirname, '../assets/hyperlanes.json');
+
+/**
+ * Planètes notables par palier : { iconic: [...], major: [...], notable: [...] }
+ * Donne le score d'importance des labels du viewer.
+ */
+const NOTABLE_PLANETS_PATH = join(__dirname, '../assets/notable-planets.json');
+
+const NOTABLE_TIER_IMPORTANCE = {
+	iconic: 100,
+	major: 60,
+	notable: 30,
+};
+
+/**
+ * Fiches enrichies facultatives par système : { "Coruscant": { suns, moons, climate, ... } }
+ * Schéma dans src/planet-schema.js ; fusionnées dans planets.json et copiées pour le viewer.
+ */
+const PLANET_DETAILS_PATH = join(__dirname, '../assets/planet-details.json');
+
+/**
+ * Affiliations par période de la frise : { regions, sectors, systems } (cf. src/eras.js)
+ * Les systèmes absents de systems reprennent les affiliations de leur fiche enrichie.
+ */
+const ERA_AFFILIATIONS_PATH = join(__dirname, '../assets/era-affiliations.json');
+
+// Bonus des étapes d'hyperlanes (carrefours commerciaux), cumulé avec le palier
+const HYPERLANE_STOP_IMPORTANCE = 15;
+
+// Manifest généré par npm run textures (null si absent : on vérifie alors les fichiers)
+const TEXTURES_MANIFEST_PATH = join(__dirname, '../src/assets/textures-manifest.json');
+let texturesManifest;
+
+async function loadTexturesManifest() {
+	if (texturesManifest === undefined) {
+		try {
+			texturesManifest = JSON.parse(await fs.readFile(TEXTURES_MANIFEST_PATH, 'utf-8'));
+		} catch {
+			texturesManifest = null;
+		}
+	}
+	return texturesManifest;
+}
+
 /**
  * Vérifie si une texture existe pour une planète (chemin de la texture spécifique)
  */
 async function checkPlanetTextureExists(planetName) {
+	const manifest = await loadTexturesManifest();
+	if (manifest) {
+		const entry = manifest.biomes[planetName.toLowerCase()];
+		return Boolean(entry?.path.startsWith('planets/') && entry.layers.diffuse);
+	}
+
 	const texturePath = join(__dirname, `../src/assets/planets/${planetName}/${planetName}_diffuse.png`);
 	try {
 		await fs.access(texturePath);
@@ -60,51 +135,71 @@ async function checkPlanetTextureExists(planetName) {
 }
 
 /**
- * Parse une coordonnée de grille (ex: "M-10") et retourne {x, y}
+ * Charge les biomes forcés par système (fichier optionnel)
  */
-function parseGridCoord(gridStr) {
-	if (!gridStr || typeof gridStr !== 'string') {
-		return null;
+async function loadBiomeOverrides(overridesPath = BIOME_OVERRIDES_PATH) {
+	try {
+		const content = await fs.readFile(overridesPath, 'utf-8');
+		return JSON.parse(content);
+	} catch (error) {
+		if (error.code === 'ENOENT') return {};
+		throw new Error(`Fichier d'overrides invalide (${overridesPath}): ${error.message}`);
 	}
+}
+
+/**
+ * Retourne les poids des biomes génériques pour une région (regionWeights du registre, défaut 1)
+ */
+function getRegionBiomeWeights(regionText) {
+	const region = regionText?.toLowerCase() ?? '';
 
-	const cleaned = gridStr.trim().replace(/\r\n.*/, '');
-	const match = cleaned.match(/^([A-Z])-(\d+)$/);
+	return getGenericBiomes().map(({ key, regionWeights = {} }) => {
+		const match = Object.keys(regionWeights).find(name => region.includes(name.toLowerCase()));
+		return [key, match ? regionWeights[match] : 1];
+	});
+}
 
-	if (match) {
-		const letter = match[1];
-		const number = parseInt(match[2], 10);
-		const x = letter.charCodeAt(0) - 'A'.charCodeAt(0) + 1;
-		const y = number;
-		return { x, y };
+/**
+ * Choisit un biome générique de façon stable (hash du nom du système + poids de la région)
+ */
+function pickGenericBiome(planetName, regionText) {
+	const weights = getRegionBiomeWeights(regionText);
+	const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+	let roll = (hashString(planetName) / 4294967296) * total;
+
+	for (const [biome, weight] of weights) {
+		if (roll < weight) return biome;
+		roll -= weight;
 	}
 
-	return null;
+	return weights[weights.length - 1][0];
 }
 
 /**
  * Détermine le biome d'une planète
  * 1. Si une texture spécifique existe dans assets/planets/{planetName}, l'utilise
- * 2. Sinon, en assigne une aléatoire de assets/textures
+ * 2. Si un override existe dans assets/biome-overrides.json, l'utilise (biome canonique par défaut)
+ * 3. Sinon, en assigne une générique (stable) de assets/textures
  */
-async function determinePlanetBiome(planetName) {
+async function determinePlanetBiome(planetName, regionText, overrides = {}) {
 	const hasSpecificTexture = await checkPlanetTextureExists(planetName);
 
 	if (hasSpecificTexture) {
 		return planetName.toLowerCase(); // ex: 'coruscant', 'naboo'
 	}
 
-	// Assigner un biome générique aléatoire
-	const randomBiome = AVAILABLE_GENERIC_BIOMES[
-		Math.floor(Math.random() * AVAILABLE_GENERIC_BIOMES.length)
-		];
-	return randomBiome;
+	if (overrides[planetName]) {
+		return overrides[planetName];
+	}
+
+	return pickGenericBiome(planetName, regionText);
 }
 
 /**
  * Détermine la couleur basée sur le biome
  */
 function getBiomeColor(biome) {
-	return BIOME_COLORS[biome] || '#FFE81F';
+	return getBiome(biome)?.color || '#FFE81F';
 }
 
 /**
@@ -123,103 +218,439 @@ function getRegionColor(regionText) {
 }
 
 /**
- * Parse le CSV avec point-virgule comme séparateur
+ * Complète les systèmes fusionnés (cf. ingest.js) avec biome et couleurs
  */
-async function parseCSV(csvPath) {
-	const content = await fs.readFile(csvPath, 'utf-8');
-	const lines = content.split('\n').slice(1);
-
+async function buildPlanets(systems, overrides = {}) {
 	const planets = [];
+
+	for (const { name, sector, region, grid, x, y } of systems) {
+		// ← DÉTERMINER LE BIOME (sync → async)
+		const biome = await determinePlanetBiome(name, region, overrides);
+		const biomeColor = getBiomeColor(biome);
+		const regionColor = getRegionColor(region);
+
+		planets.push({
+			name,
+			sector: sector || 'Unknown',
+			region: region || 'Unknown',
+			grid,
+			x,
+			y,
+			biome: biome,
+			color: biomeColor,
+			regionColor: regionColor
+		});
+	}
+
+	return planets;
+}
+
+/**
+ * Charge les hyperlanes et les valide contre les systèmes du CSV
+ * Les systèmes inconnus sont retirés et signalés.
+ */
+async function parseHyperlanes(lanesPath, planets) {
+	let lanes;
+	try {
+		lanes = JSON.parse(await fs.readFile(lanesPath, 'utf-8'));
+	} catch (error) {
+		if (error.code === 'ENOENT') return { lanes: [], errors: [] };
+		throw new Error(`Fichier d'hyperlanes invalide (${lanesPath}): ${error.message}`);
+	}
+
+	const knownSystems = new Set(planets.map(p => p.name));
 	const errors = [];
 
-	for (let i = 0; i < lines.length; i++) {
-		const line = lines[i].trim();
-		if (!line || line === ';;;;') continue;
+	const validLanes = lanes.map(lane => {
+		const systems = lane.systems.filter(system => {
+			if (knownSystems.has(system)) return true;
+			errors.push({ lane: lane.name, system, reason: 'Unknown system' });
+			return false;
+		});
 
-		const parts = line.split(';').map(p => p.trim());
+		if (systems.length < 2) {
+			errors.push({ lane: lane.name, system: null, reason: 'Less than 2 known systems' });
+		}
 
-		if (parts.length >= 4) {
-			const [system, sector, region, grid] = parts;
+		return { ...lane, systems };
+	}).filter(lane => lane.systems.length >= 2);
 
-			if (!system) continue;
+	return { lanes: validLanes, errors };
+}
 
-			const coords = parseGridCoord(grid);
+/**
+ * Score d'importance des planètes notables (palier + étape d'hyperlane)
+ * @returns {{notables: {name: string, importance: number}[], errors: object[]}} trié par importance
+ */
+async function parseNotablePlanets(notablesPath, planets, lanes) {
+	let tiers = {};
+	try {
+		tiers = JSON.parse(await fs.readFile(notablesPath, 'utf-8'));
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			throw new Error(`Fichier de planètes notables invalide (${notablesPath}): ${error.message}`);
+		}
+	}
+
+	const knownSystems = new Set(planets.map(p => p.name));
+	const importance = new Map();
+	const errors = [];
 
-			if (coords) {
-				// ← DÉTERMINER LE BIOME (sync → async)
-				const biome = await determinePlanetBiome(system);
-				const biomeColor = getBiomeColor(biome);
-				const regionColor = getRegionColor(region);
+	Object.entries(tiers).forEach(([tier, names]) => {
+		if (!(tier in NOTABLE_TIER_IMPORTANCE)) {
+			errors.push({ tier, system: null, reason: 'Unknown tier' });
+			return;
+		}
 
-				planets.push({
-					name: system,
-					sector: sector || 'Unknown',
-					region: region || 'Unknown',
-					grid: grid.trim(),
-					x: coords.x,
-					y: coords.y,
-					biome: biome,
-					color: biomeColor,
-					regionColor: regionColor
-				});
+		names.forEach(name => {
+			if (!knownSystems.has(name)) {
+				errors.push({ tier, system: name, reason: 'Unknown system' });
+				return;
+			}
+			importance.set(name, Math.max(importance.get(name) ?? 0, NOTABLE_TIER_IMPORTANCE[tier]));
+		});
+	});
+
+	new Set(lanes.flatMap(lane => lane.systems)).forEach(name => {
+		importance.set(name, (importance.get(name) ?? 0) + HYPERLANE_STOP_IMPORTANCE);
+	});
+
+	const notables = [...importance]
+		.map(([name, score]) => ({ name, importance: score }))
+		.sort((a, b) => b.importance - a.importance || a.name.localeCompare(b.name));
+
+	return { notables, errors };
+}
+
+/**
+ * Charge et valide les fiches enrichies contre les systèmes et le schéma
+ * @returns {{details: Object<string, object>, errors: object[]}} fiches valides par nom de système
+ */
+async function parsePlanetDetails(detailsPath, planets) {
+	let entries = {};
+	try {
+		entries = JSON.parse(await fs.readFile(detailsPath, 'utf-8'));
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			throw new Error(`Fichier de fiches invalide (${detailsPath}): ${error.message}`);
+		}
+	}
+
+	const knownSystems = new Set(planets.map(p => p.name));
+	const details = {};
+	const errors = [];
+
+	Object.entries(entries).forEach(([system, fields]) => {
+		if (!knownSystems.has(system)) {
+			errors.push({ system, field: null, reason: 'Unknown system' });
+			return;
+		}
+
+		const { details: valid, errors: fieldErrors } = validatePlanetDetails(fields);
+		fieldErrors.forEach(({ field, reason }) => errors.push({ system, field, reason }));
+		if (Object.keys(valid).length > 0) details[system] = valid;
+	});
+
+	return { details, errors };
+}
+
+/**
+ * Charge et valide les affiliations de la frise (noms connus, périodes, factions du registre)
+ * @param details Fiches enrichies valides (cf. parsePlanetDetails)
+ * @returns {{affiliations: {regions: object, sectors: object, systems: object}, errors: object[]}}
+ */
+async function parseEraAffiliations(affiliationsPath, planets, details) {
+	let scopes = {};
+	try {
+		scopes = JSON.parse(await fs.readFile(affiliationsPath, 'utf-8'));
+	} catch (error) {
+		if (error.code !== 'ENOENT') {
+			throw new Error(`Fichier d'affiliations invalide (${affiliationsPath}): ${error.message}`);
+		}
+	}
+
+	const known = {
+		regions: new Set(planets.map(p => p.region)),
+		sectors: new Set(planets.map(p => p.sector)),
+		systems: new Set(planets.map(p => p.name)),
+	};
+	const validatePeriods = getPlanetField('affiliations').validate;
+	const checkFactions = (periods) => {
+		const unknown = periods.find(({ faction }) => !getFaction(faction));
+		return unknown ? `Unknown faction: ${unknown.faction}` : null;
+	};
+	const affiliations = { regions: {}, sectors: {}, systems: {} };
+	const errors = [];
+
+	Object.entries(scopes).forEach(([scope, entries]) => {
+		if (!known[scope]) {
+			errors.push({ scope, name: null, reason: 'Unknown scope' });
+			return;
+		}
+
+		Object.entries(entries).forEach(([name, periods]) => {
+			const reason = known[scope].has(name)
+				? validatePeriods(periods) ?? checkFactions(periods)
+				: 'Unknown name';
+
+			if (reason) {
+				errors.push({ scope, name, reason });
 			} else {
-				if (grid && grid.trim()) {
-					errors.push({
-						line: i + 2,
-						system,
-						grid: grid.trim(),
-						reason: 'Invalid grid format'
-					});
+				affiliations[scope][name] = periods;
+			}
+		});
+	});
+
+	Object.entries(details).forEach(([system, { affiliations: periods }]) => {
+		if (!periods || affiliations.systems[system]) return;
+
+		const reason = checkFactions(periods);
+		if (reason) {
+			errors.push({ scope: 'details', name: system, reason });
+		} else {
+			affiliations.systems[system] = periods;
+		}
+	});
+
+	return { affiliations, errors };
+}
+
+/**
+ * Lit les options de la ligne de commande (cf. en-tête du fichier)
+ */
+function parseArgs(args) {
+	const options = {
+		inputs: [],
+		fieldMap: {},
+		outputDir: DEFAULT_OUTPUT_DIR,
+		outputFormats: OUTPUT_FORMATS,
+		reportPath: null,
+		strict: false,
+		repair: false,
+	};
+
+	const valueOf = (index) => {
+		const value = args[index + 1];
+		if (value === undefined || value.startsWith('--')) {
+			throw new Error(`Valeur manquante pour ${args[index]}`);
+		}
+		return value;
+	};
+
+	for (let i = 0; i < args.length; i++) {
+		switch (args[i]) {
+			case '--input':
+				options.inputs.push({ path: resolve(valueOf(i)) });
+				i++;
+				break;
+			case '--format': {
+				const format = valueOf(i).toLowerCase();
+				const input = options.inputs[options.inputs.length - 1];
+				if (!input) throw new Error('--format doit suivre un --input');
+				if (!SOURCE_READERS[format]) {
+					throw new Error(`Format inconnu: ${format} (formats: ${Object.keys(SOURCE_READERS).join(', ')})`);
 				}
+				input.format = format;
+				i++;
+				break;
 			}
+			case '--map': {
+				const input = options.inputs[options.inputs.length - 1];
+				const target = input ? (input.fieldMap ??= {}) : options.fieldMap;
+				Object.assign(target, parseFieldMap(valueOf(i)));
+				i++;
+				break;
+			}
+			case '--output':
+				options.outputDir = resolve(valueOf(i));
+				i++;
+				break;
+			case '--output-formats':
+				options.outputFormats = valueOf(i).split(',').map(format => format.trim().toLowerCase());
+				options.outputFormats.forEach(format => {
+					if (!OUTPUT_FORMATS.includes(format)) {
+						throw new Error(`Format de sortie inconnu: ${format} (formats: ${OUTPUT_FORMATS.join(', ')})`);
+					}
+				});
+				i++;
+				break;
+			case '--report':
+				options.reportPath = resolve(valueOf(i));
+				i++;
+				break;
+			case '--strict':
+				options.strict = true;
+				break;
+			case '--repair':
+				options.repair = true;
+				break;
+			default:
+				throw new Error(`Option inconnue: ${args[i]}`);
 		}
 	}
 
-	return { planets, errors };
+	if (options.inputs.length === 0) {
+		options.inputs.push({ path: DEFAULT_INPUT });
+	}
+
+	// Avec un --output, le rapport le suit : le CLI ne touche plus au dépôt
+	options.reportPath ??= options.outputDir === DEFAULT_OUTPUT_DIR
+		? DEFAULT_DATA_QUALITY_REPORT_PATH
+		: join(options.outputDir, DATA_QUALITY_REPORT_NAME);
+
+	options.inputs.forEach(input => {
+		// Chemin relatif au dépôt pour le rapport (absolu hors du dépôt)
+		const inRepo = relative(ROOT_DIR, input.path);
+		input.label = inRepo.startsWith('..') ? input.path : inRepo;
+		input.format ??= detectFormat(input.path);
+	});
+
+	return options;
 }
 
 /**
  * Fonction principale
  */
 async function main() {
-	console.log('🌌 Star Wars Galaxy CSV → JSON Converter');
+	console.log('🌌 Star Wars Galaxy → JSON Converter');
 	console.log('='.repeat(50));
 
-	const csvPath = join(__dirname, '../assets/star_wars_galaxy.csv');
-
+	let options;
 	try {
-		await fs.access(csvPath);
+		options = parseArgs(process.argv.slice(2));
 	} catch (error) {
-		console.error(`❌ Erreur: Le fichier ${csvPath} n'existe pas`);
-		console.log('💡 Placez star_wars_galaxy.csv dans le dossier assets/');
+		console.error(`❌ Erreur: ${error.message}`);
 		process.exit(1);
 	}
 
+	const { inputs, fieldMap, outputDir, outputFormats, reportPath, strict, repair } = options;
+
+	for (const input of inputs) {
+		try {
+			await fs.access(input.path);
+		} catch (error) {
+			console.error(`❌ Erreur: Le fichier ${input.path} n'existe pas`);
+			if (input.path === DEFAULT_INPUT) {
+				console.log('💡 Placez star_wars_galaxy.csv dans le dossier assets/');
+			}
+			process.exit(1);
+		}
+	}
+
 	try {
-		console.log(`📖 Lecture du CSV: ${csvPath}`);
+		inputs.forEach(input => {
+			console.log(`📖 Lecture (${input.format.toUpperCase()}): ${input.path}`);
+		});
+
+		const overrides = await loadBiomeOverrides();
+		if (Object.keys(overrides).length > 0) {
+			console.log(`📌 ${Object.keys(overrides).length} biomes forcés (biome-overrides.json)`);
+		}
+		Object.entries(overrides).forEach(([system, biome]) => {
+			if (!getBiome(biome)) {
+				console.log(`⚠️  Biome inconnu du registre pour ${system}: ${biome}`);
+			}
+		});
 
-		const { planets, errors } = await parseCSV(csvPath);
+		if (repair) {
+			console.log('🔧 Réparation automatique des colonnes décalées');
+		}
+
+		const report = new DataQualityReport();
+		const systems = await ingestSources(inputs, { report, regions: REGION_NAMES, fieldMap, repair });
+		const planets = await buildPlanets(systems, overrides);
+
+		// Les champs enrichis ne vont que dans planets.json (planets.bin garde ses colonnes fixes)
+		const { details, errors: detailErrors } = await parsePlanetDetails(PLANET_DETAILS_PATH, planets);
+		planets.forEach(planet => Object.assign(planet, details[planet.name]));
 
 		console.log(`\n✅ ${planets.length} planètes converties`);
 
-		if (errors.length > 0) {
-			console.log(`\n⚠️  ${errors.length} erreurs de parsing:`);
-			errors.slice(0, 5).forEach(err => {
-				console.log(`  • Ligne ${err.line}: ${err.system} - ${err.grid} (${err.reason})`);
+		report.print();
+		await fs.mkdir(dirname(reportPath), { recursive: true });
+		await fs.writeFile(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+		console.log(`\n💾 Rapport de qualité sauvegardé: ${reportPath}`);
+
+		if (strict && report.hasBlockingIssues()) {
+			console.error('❌ Mode --strict: erreurs ou avertissements dans les données, fichiers non générés');
+			process.exit(1);
+		}
+
+		await fs.mkdir(outputDir, { recursive: true });
+
+		if (outputFormats.includes('json')) {
+			const jsonPath = join(outputDir, 'planets.json');
+			await fs.writeFile(
+				jsonPath,
+				JSON.stringify(planets, null, 2),
+				'utf-8'
+			);
+
+			console.log(`\n💾 JSON sauvegardé: ${jsonPath}`);
+		}
+
+		if (outputFormats.includes('bin')) {
+			// Format binaire colonnaire chargé par le viewer (planets.json reste la source lisible)
+			const binPath = join(outputDir, 'planets.bin');
+			const binary = encodePlanetsBinary(planets);
+			await fs.writeFile(binPath, binary);
+
+			console.log(`💾 Binaire sauvegardé: ${binPath} (${(binary.length / 1024).toFixed(0)} Ko)`);
+		}
+
+		const { lanes, errors: laneErrors } = await parseHyperlanes(HYPERLANES_PATH, planets);
+
+		if (lanes.length > 0) {
+			const lanesJsonPath = join(outputDir, 'hyperlanes.json');
+			await fs.writeFile(lanesJsonPath, JSON.stringify(lanes, null, 2), 'utf-8');
+			console.log(`💾 ${lanes.length} hyperlanes sauvegardées: ${lanesJsonPath}`);
+		}
+
+		const { notables, errors: notableErrors } = await parseNotablePlanets(NOTABLE_PLANETS_PATH, planets, lanes);
+
+		const notablesJsonPath = join(outputDir, 'notable-planets.json');
+		await fs.writeFile(notablesJsonPath, JSON.stringify(notables, null, 2), 'utf-8');
+		console.log(`💾 ${notables.length} planètes notables sauvegardées: ${notablesJsonPath}`);
+
+		const detailsJsonPath = join(outputDir, 'planet-details.json');
+		await fs.writeFile(detailsJsonPath, JSON.stringify(details, null, 2), 'utf-8');
+		console.log(`💾 ${Object.keys(details).length} fiches enrichies sauvegardées: ${detailsJsonPath}`);
+
+		const { affiliations, errors: affiliationErrors } =
+			await parseEraAffiliations(ERA_AFFILIATIONS_PATH, planets, details);
+
+		const affiliationsJsonPath = join(outputDir, 'era-affiliations.json');
+		await fs.writeFile(affiliationsJsonPath, JSON.stringify(affiliations, null, 2), 'utf-8');
+		const ruleCount = Object.values(affiliations).reduce((sum, scope) => sum + Object.keys(scope).length, 0);
+		console.log(`💾 ${ruleCount} affiliations de la frise sauvegardées: ${affiliationsJsonPath}`);
+
+		if (affiliationErrors.length > 0) {
+			console.log(`\n⚠️  ${affiliationErrors.length} erreurs dans les affiliations:`);
+			affiliationErrors.forEach(err => {
+				console.log(`  • ${err.scope}: ${err.name ?? '-'} (${err.reason})`);
 			});
-			if (errors.length > 5) {
-				console.log(`  ... et ${errors.length - 5} autres erreurs`);
-			}
 		}
 
-		const jsonPath = join(__dirname, '../src/planets.json');
-		await fs.writeFile(
-			jsonPath,
-			JSON.stringify(planets, null, 2),
-			'utf-8'
-		);
+		if (detailErrors.length > 0) {
+			console.log(`\n⚠️  ${detailErrors.length} erreurs dans les fiches enrichies:`);
+			detailErrors.forEach(err => {
+				console.log(`  • ${err.system}${err.field ? `.${err.field}` : ''} (${err.reason})`);
+			});
+		}
 
-		console.log(`\n💾 JSON sauvegardé: ${jsonPath}`);
+		if (notableErrors.length > 0) {
+			console.log(`\n⚠️  ${notableErrors.length} erreurs dans les planètes notables:`);
+			notableErrors.forEach(err => {
+				console.log(`  • ${err.tier}: ${err.system ?? '-'} (${err.reason})`);
+			});
+		}
+
+		if (laneErrors.length > 0) {
+			console.log(`\n⚠️  ${laneErrors.length} erreurs dans les hyperlanes:`);
+			laneErrors.forEach(err => {
+				console.log(`  • ${err.lane}: ${err.system ?? '-'} (${err.reason})`);
+			});
+		}
 
 		console.log('\n📊 Statistiques:');
 		console.log(`  • Total de planètes: ${planets.length}`);
@@ -256,10 +687,9 @@ async function main() {
 		console.log(`  • X: ${Math.min(...xCoords)} à ${Math.max(...xCoords)} (lettres ${String.fromCharCode(64 + Math.min(...xCoords))}-${String.fromCharCode(64 + Math.max(...xCoords))})`);
 		console.log(`  • Y: ${Math.min(...yCoords)} à ${Math.max(...yCoords)}`);
 
-		const famousPlanets = [
-			'Tatooine', 'Coruscant', 'Alderaan', 'Naboo', 'Hoth',
-			'Endor', 'Dagobah', 'Mustafar', 'Ahch-To'
-		];
+		const famousPlanets = notables
+			.filter(notable => notable.importance >= NOTABLE_TIER_IMPORTANCE.iconic)
+			.map(notable => notable.name);
 
 		console.log('\n⭐ Planètes célèbres trouvées:');
 		famousPlanets.forEach(name => {
@@ -0,0 +1,137 @@
+/**
+ * Source CSV : séparateur « ; » ou « , » (détecté sur l'en-tête), champs entre guillemets,
+ * colonnes associées par l'en-tête (cf. fields.js)
+ */
+
+import fs from 'fs/promises';
+import { mapFields, PLANET_FIELDS } from './fields.js';
+import { detectColumnShift } from '../data-quality.js';
+
+/**
+ * Séparateur le plus fréquent dans l'en-tête (hors guillemets)
+ */
+function detectDelimiter(header) {
+	const unquoted = header.replace(/"[^"]*"/g, '');
+	const count = (char) => unquoted.split(char).length - 1;
+	return count(',') > count(';') ? ',' : ';';
+}
+
+/**
+ * Découpe une ligne en respectant les guillemets (« "Almagest, The";;Inner Rim;J-13 »)
+ * Les espaces autour des valeurs sont conservés (vérifiés par le rapport de qualité).
+ */
+export function splitCSVLine(line, delimiter) {
+	const values = [];
+	let value = '';
+	let quoted = false;
+
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+
+		if (quoted) {
+			if (char === '"' && line[i + 1] === '"') {
+				value += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				value += char;
+			}
+		} else if (char === '"' && value.trim() === '') {
+			quoted = true;
+			value = '';
+		} else if (char === delimiter) {
+			values.push(value);
+			value = '';
+		} else {
+			value += char;
+		}
+	}
+
+	values.push(value);
+	return values;
+}
+
+/**
+ * @param path Fichier CSV
+ * @param context { label, report, fieldMap, repair, isGrid, regions } (cf. ingest.js)
+ * @returns Lignes brutes { name, sector, region, grid, line, raw }
+ */
+export async function readCSV(path, { label, report, fieldMap = {}, repair = false, isGrid, regions }) {
+	const lines = (await fs.readFile(path, 'utf-8')).split('\n').map(line => line.replace(/\r$/, ''));
+	const header = lines[0] ?? '';
+	const delimiter = detectDelimiter(header);
+	const columns = splitCSVLine(header, delimiter).map(column => column.trim());
+	const mapping = mapFields(columns, fieldMap);
+	const indices = PLANET_FIELDS.map(field => mapping[field] ? columns.indexOf(mapping[field]) : -1);
+
+	// Les décalages ne sont détectables que sur la disposition d'origine (SYSTEM;SECTOR;REGION;GRID)
+	const canonicalLayout = indices.every((index, position) => index === position);
+
+	const rows = [];
+
+	for (let i = 1; i < lines.length; i++) {
+		const line = lines[i].trim();
+		if (!line || /^[;,\s]*$/.test(line)) continue;
+
+		const lineNumber = i + 1;
+		const rawParts = splitCSVLine(line, delimiter);
+		let parts = rawParts.map(p => p.trim());
+
+		// Colonnes vides en fin de ligne (« ;; ») : sans conséquence
+		while (parts.length > columns.length && parts[parts.length - 1] === '') {
+			parts.pop();
+		}
+
+		const system = parts[indices[0]];
+		if (!system) continue;
+
+		report.rows++;
+		report.checkWhitespace(lineNumber, system, rawParts, line, label);
+
+		const shift = canonicalLayout ? detectColumnShift(parts, { isGrid, regions }) : null;
+		if (shift) {
+			const repaired = repair && shift.columns !== null;
+			// Sans réparation, les lignes à 4 colonnes restent lisibles (mais fausses) : on les garde
+			const dropped = !repaired && parts.length !== 4;
+
+			report.add({
+				type: 'shiftedColumns',
+				severity: dropped ? 'error' : 'warning',
+				source: label,
+				line: lineNumber,
+				system,
+				message: shift.columns
+					? `${shift.reason} → ${shift.columns.slice(1).map(c => c || '∅').join(' | ')}`
+					: shift.reason,
+				raw: line,
+				repaired,
+			});
+
+			if (repaired) {
+				parts = shift.columns;
+			} else if (dropped) {
+				continue;
+			}
+		}
+
+		const lastIndex = Math.max(...indices);
+		if (parts.length <= lastIndex) {
+			report.add({
+				type: 'shiftedColumns',
+				severity: 'error',
+				source: label,
+				line: lineNumber,
+				system,
+				message: `${parts.length} colonnes au lieu de ${columns.length}`,
+				raw: line,
+			});
+			continue;
+		}
+
+		const [name, sector, region, grid] = indices.map(index => index === -1 ? '' : parts[index]);
+		rows.push({ name, sector, region, grid, line: lineNumber, raw: line });
+	}
+
+	return rows;
+}
@@ -0,0 +1,73 @@
+/**
+ * Schéma commun des lignes lues par les sources : { name, sector, region, grid, source, line }
+ * Les colonnes (CSV) ou clés (JSON) sont associées aux champs par leur nom, insensible à la casse
+ * et aux accents ; --map champ=Colonne force une association.
+ */
+
+export const PLANET_FIELDS = ['name', 'sector', 'region', 'grid'];
+
+const REQUIRED_FIELDS = ['name', 'grid'];
+
+const FIELD_ALIASES = {
+	name: ['system', 'name', 'planet', 'systeme', 'planete'],
+	sector: ['sector', 'secteur'],
+	region: ['region'],
+	grid: ['grid', 'grille', 'coordinates', 'coords', 'gridsquare'],
+};
+
+function normalizeKey(key) {
+	return String(key)
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(/[^a-z0-9]/gi, '')
+		.toLowerCase();
+}
+
+/**
+ * Associe chaque champ à un nom de colonne/clé
+ * @param keys Noms disponibles (en-tête CSV, clés d'un objet JSON)
+ * @param overrides { champ: nom } issus de --map
+ * @returns {Object<string, string>} champ → nom (champs absents omis)
+ * @throws si un champ obligatoire (name, grid) est introuvable
+ */
+export function mapFields(keys, overrides = {}) {
+	const byNormalized = new Map(keys.map(key => [normalizeKey(key), key]));
+	const mapping = {};
+
+	PLANET_FIELDS.forEach(field => {
+		if (overrides[field] !== undefined) {
+			if (!keys.includes(overrides[field])) {
+				throw new Error(`Colonne « ${overrides[field]} » introuvable pour le champ ${field}`);
+			}
+			mapping[field] = overrides[field];
+			return;
+		}
+
+		const alias = FIELD_ALIASES[field].find(candidate => byNormalized.has(candidate));
+		if (alias) mapping[field] = byNormalized.get(alias);
+	});
+
+	const missing = REQUIRED_FIELDS.filter(field => !mapping[field]);
+	if (missing.length > 0) {
+		throw new Error(`Champs obligatoires introuvables: ${missing.join(', ')} (colonnes: ${keys.join(', ')})`);
+	}
+
+	return mapping;
+}
+
+/**
+ * « name=System,grid=Coords » → { name: 'System', grid: 'Coords' }
+ */
+export function parseFieldMap(value) {
+	const overrides = {};
+
+	value.split(',').filter(Boolean).forEach(pair => {
+		const [field, column] = pair.split('=').map(part => part.trim());
+		if (!PLANET_FIELDS.includes(field) || !column) {
+			throw new Error(`Association invalide « ${pair} » (champs: ${PLANET_FIELDS.join(', ')})`);
+		}
+		overrides[field] = column;
+	});
+
+	return overrides;
+}
@@ -0,0 +1,69 @@
+/**
+ * Source JSON : liste d'objets, { planets: [...] }, ou collection de type GeoJSON
+ * ({ features: [{ properties, geometry }] }) dont les propriétés portent les champs.
+ * Sans champ grille, une géométrie Point [x, y] en cases (1 = A) est convertie en « A-1 ».
+ */
+
+import fs from 'fs/promises';
+import { mapFields, PLANET_FIELDS } from './fields.js';
+
+function gridFromGeometry(geometry) {
+	if (geometry?.type !== 'Point' || !Array.isArray(geometry.coordinates)) return '';
+
+	const [x, y] = geometry.coordinates.map(Math.round);
+	if (!(x >= 1 && x <= 26 && y >= 1)) return '';
+	return `${String.fromCharCode(64 + x)}-${y}`;
+}
+
+/**
+ * Entrées de la source : { values, geometry } (values = objet de champs)
+ */
+function getEntries(data) {
+	if (Array.isArray(data)) return data.map(values => ({ values }));
+	if (Array.isArray(data?.planets)) return data.planets.map(values => ({ values }));
+	if (Array.isArray(data?.features)) {
+		return data.features.map(feature => ({ values: feature.properties ?? {}, geometry: feature.geometry }));
+	}
+	throw new Error('Format JSON non reconnu (attendu: liste, { planets } ou { features })');
+}
+
+/**
+ * @param path Fichier JSON
+ * @param context { label, report, fieldMap } (cf. ingest.js)
+ * @returns Lignes brutes { name, sector, region, grid, line } (line = position dans la liste, à partir de 1)
+ */
+export async function readJSON(path, { label, report, fieldMap = {} }) {
+	const entries = getEntries(JSON.parse(await fs.readFile(path, 'utf-8')));
+	const keys = [...new Set(entries.flatMap(({ values }) => Object.keys(values)))];
+
+	// La grille peut venir uniquement de la géométrie
+	const hasGeometry = entries.some(({ geometry }) => gridFromGeometry(geometry));
+	const mapping = mapFields(hasGeometry && !keys.includes('grid') ? [...keys, 'grid'] : keys, fieldMap);
+
+	const value = (values, field) => {
+		const raw = mapping[field] ? values[mapping[field]] : undefined;
+		return raw === undefined || raw === null ? '' : String(raw);
+	};
+
+	const rows = [];
+
+	entries.forEach(({ values, geometry }, index) => {
+		const name = value(values, 'name').trim();
+		if (!name) return;
+
+		report.rows++;
+		const parts = PLANET_FIELDS.map(field => value(values, field));
+		report.checkWhitespace(index + 1, name, parts, JSON.stringify(values), label);
+
+		const [, sector, region, grid] = parts.map(part => part.trim());
+		rows.push({
+			name,
+			sector,
+			region,
+			grid: grid || gridFromGeometry(geometry),
+			line: index + 1,
+		});
+	});
+
+	return rows;
+}
@@ -0,0 +1,105 @@
+/**
+ * Source PDF (star_wars_galaxy.pdf) : texte extrait par pdf-parse, une ligne par système,
+ * colonnes collées sans séparateur (« AbaarianAbaarMid RimK-7 », grilles parfois coupées « L-1 0 »).
+ * On retire la grille en fin de ligne, puis la région connue la plus longue ; le reste est découpé
+ * en système + secteur grâce aux noms et secteurs des sources précédentes, sinon à la dernière
+ * jonction minuscule→Majuscule. Les numéros de ligne sont ceux du texte extrait.
+ */
+
+import fs from 'fs/promises';
+// Point d'entrée sans le mode debug de pdf-parse (son index.js lit un PDF de test)
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+const GRID_SUFFIX = /([A-Z])-\s*(\d[\d ]*)$/;
+
+// En-têtes de colonnes, titres et numéros de page
+const NOISE_LINES = [/^SYSTEMSECTORREGIONGRID/, /^STAR SYSTEMS OF THE GALAXY$/, /^\d+$/];
+
+const CASE_BOUNDARY = /[a-z0-9)\]*](?=[A-Z(])/g;
+
+/**
+ * Sépare « système + secteur » collés
+ * @param text Ligne sans région ni grille
+ * @param known { names, sectors } Ensembles (minuscules) issus des sources précédentes
+ * @returns {{name: string, sector: string, ambiguous: boolean}}
+ */
+export function splitSystemSector(text, { names, sectors }) {
+	const lower = text.toLowerCase();
+	if (names.has(lower)) return { name: text, sector: '', ambiguous: false };
+
+	// Découpes candidates : toutes les positions, notées par ce que l'on reconnaît de chaque côté
+	let best = null;
+	for (let i = 1; i < text.length; i++) {
+		const name = text.slice(0, i).trim();
+		const sector = text.slice(i).trim();
+		const score = (names.has(name.toLowerCase()) ? 1 : 0) + (sectors.has(sector.toLowerCase()) ? 2 : 0);
+		if (score > 0 && (!best || score > best.score)) best = { name, sector, score };
+	}
+	if (best) return { name: best.name, sector: best.sector, ambiguous: false };
+
+	const boundaries = [...text.matchAll(CASE_BOUNDARY)].map(match => match.index + 1);
+	if (boundaries.length === 0) return { name: text, sector: '', ambiguous: false };
+
+	const at = boundaries[boundaries.length - 1];
+	return { name: text.slice(0, at).trim(), sector: text.slice(at).trim(), ambiguous: boundaries.length > 1 };
+}
+
+/**
+ * @param path Fichier PDF
+ * @param context { label, report, regions, known } (cf. ingest.js)
+ * @returns Lignes brutes { name, sector, region, grid, line, raw, ambiguous } (ambiguous : découpage incertain)
+ */
+export async function readPDF(path, { label, report, regions, known }) {
+	const { text } = await pdfParse(await fs.readFile(path));
+	const byLength = [...regions].sort((a, b) => b.length - a.length);
+	const rows = [];
+
+	text.split('\n').forEach((rawLine, index) => {
+		const line = rawLine.trim();
+		if (!line || NOISE_LINES.some(pattern => pattern.test(line))) return;
+
+		const lineNumber = index + 1;
+		const gridMatch = line.match(GRID_SUFFIX);
+		const withoutGrid = gridMatch ? line.slice(0, gridMatch.index).trim() : line;
+		const region = byLength.find(name => withoutGrid.endsWith(name));
+
+		if (!gridMatch) {
+			// Texte d'introduction : seules les lignes qui ressemblent à un système sont signalées
+			if (region) {
+				report.add({
+					type: 'malformedGrid',
+					severity: 'error',
+					source: label,
+					line: lineNumber,
+					system: withoutGrid,
+					message: 'Grille introuvable',
+					raw: line,
+				});
+			}
+			return;
+		}
+
+		const grid = `${gridMatch[1]}-${gridMatch[2].replace(/\s/g, '')}`;
+		const rest = region ? withoutGrid.slice(0, withoutGrid.length - region.length).trim() : withoutGrid;
+		const { name, sector, ambiguous } = splitSystemSector(rest, known);
+		if (!name) return;
+
+		report.rows++;
+
+		if (ambiguous) {
+			report.add({
+				type: 'pdfSplit',
+				severity: 'info',
+				source: label,
+				line: lineNumber,
+				system: name,
+				message: `« ${rest} » → ${name} | ${sector}`,
+				raw: line,
+			});
+		}
+
+		rows.push({ name, sector, region: region ?? '', grid, line: lineNumber, raw: line, ambiguous });
+	});
+
+	return rows;
+}
@@ -0,0 +1,186 @@
+/**
+ * Registre des biomes, partagé par le parser (Node) et le viewer (navigateur)
+ * Chaque biome déclare :
+ *   color         couleur de la planète dans la galaxie (vue lointaine)
+ *   generic       attribuable automatiquement par le parser
+ *   regionWeights poids du tirage par région (défaut 1), si generic
+ *   textures      PNG HD éventuels : { path, files: { diffuse, bump, clouds, ... } } sous l'hôte des assets
+ *   procedural    paramètres de génération des textures quand les PNG sont absents (cf. procedural-textures.js)
+ *   alwaysVisible mesh HD toujours affiché (planètes principales)
+ *   rotation      rotation propre du mesh HD : { period, tilt, cloudPeriod? } (sinon tirée du seed par planète)
+ * Pour ajouter un biome : un appel à registerBiome, sans autre modification.
+ */
+
+const BIOMES = new Map();
+
+export function registerBiome(key, definition) {
+	BIOMES.set(key, { key, generic: false, ...definition });
+}
+
+export function getBiome(key) {
+	return BIOMES.get(key) ?? null;
+}
+
+export function getBiomes() {
+	return [...BIOMES.values()];
+}
+
+/**
+ * Biomes attribuables par le parser, dans l'ordre d'enregistrement (stable)
+ */
+export function getGenericBiomes() {
+	return getBiomes().filter(biome => biome.generic);
+}
+
+// ========== BIOMES GÉNÉRIQUES ==========
+
+registerBiome('volcanic', {
+	color: '#ff4500',
+	generic: true,
+	regionWeights: { 'Deep Core': 3, 'Hutt Space': 2, 'Outer Rim': 1 },
+	textures: {
+		path: 'textures/volcanic',
+		files: {
+			diffuse: 'volcanic_diffuse.png',
+			bump: 'volcanic_bump.png',
+			roughness: 'volcanic_roughness.png',
+			elevation: 'volcanic_elevation.png',
+			clouds: 'volcanic_clouds.png',
+			lava: 'volcanic_lava.png',
+			citylights: 'volcanic_citylights.png',
+		},
+	},
+	procedural: {
+		palette: [[0, '#1a0d0a'], [0.45, '#3b1a10'], [0.7, '#7a2a0c'], [0.85, '#ff4500'], [1, '#ffb347']],
+		noiseScale: 3,
+		clouds: { coverage: 0.15, color: '#4a3b36', scale: 2 },
+	},
+});
+
+registerBiome('oceanic', {
+	color: '#1a4d7a',
+	generic: true,
+	regionWeights: { 'Core Worlds': 2, 'Colonies': 2, 'Inner Rim': 1.5 },
+	textures: {
+		path: 'textures/oceanic',
+		files: {
+			diffuse: 'oceanic_diffuse.png',
+			bump: 'oceanic_bump.png',
+			roughness: 'oceanic_roughness.png',
+			elevation: 'oceanic_elevation.png',
+			clouds: 'oceanic_clouds.png',
+			lava: 'oceanic_islands.png',
+			citylights: 'oceanic_citylights.png',
+		},
+	},
+	procedural: {
+		palette: [[0, '#0b2545'], [0.6, '#1a4d7a'], [0.68, '#2f7fb0'], [0.7, '#c2b280'], [0.8, '#4f7a35'], [1, '#2d4a1f']],
+		noiseScale: 2.5,
+		clouds: { coverage: 0.3, color: '#ffffff', scale: 3 },
+		polarCaps: { color: '#f4fbff', latitude: 0.85 },
+	},
+});
+
+registerBiome('desert', {
+	color: '#d4a574',
+	generic: true,
+	regionWeights: { 'Outer Rim': 2.5, 'Hutt Space': 3, 'Mid Rim': 1.5, 'Core Worlds': 0.5 },
+	procedural: {
+		palette: [[0, '#7a4b24'], [0.4, '#b8844f'], [0.7, '#d4a574'], [1, '#f1d9a6']],
+		noiseScale: 2.5,
+		ridges: true,
+		clouds: { coverage: 0.05, color: '#f5e6c8', scale: 2 },
+	},
+});
+
+registerBiome('ice', {
+	color: '#e0f6ff',
+	generic: true,
+	regionWeights: { 'Unknown Regions': 3, 'Wild Space': 2, 'Outer Rim': 1, 'Deep Core': 0.5 },
+	procedural: {
+		palette: [[0, '#7fa6c4'], [0.45, '#bcd9ec'], [0.75, '#e0f6ff'], [1, '#ffffff']],
+		noiseScale: 3.5,
+		ridges: true,
+		clouds: { coverage: 0.2, color: '#ffffff', scale: 3 },
+	},
+});
+
+registerBiome('jungle', {
+	color: '#3d7a2a',
+	generic: true,
+	regionWeights: { 'Mid Rim': 2, 'Expansion Region': 2, 'Core Worlds': 1, 'Deep Core': 0.3 },
+	procedural: {
+		palette: [[0, '#123a5c'], [0.38, '#1f5a80'], [0.42, '#2e5d1e'], [0.7, '#3d7a2a'], [1, '#1c3d12']],
+		noiseScale: 3,
+		clouds: { coverage: 0.35, color: '#ffffff', scale: 4 },
+	},
+});
+
+registerBiome('gas', {
+	color: '#c99a6b',
+	generic: true,
+	regionWeights: { 'Expansion Region': 1.5, 'Wild Space': 1.5, 'Deep Core': 0.5 },
+	procedural: {
+		palette: [[0, '#6b4a2f'], [0.3, '#c99a6b'], [0.55, '#f0dcb4'], [0.8, '#a86a3d'], [1, '#e8c590']],
+		noiseScale: 2,
+		bands: { frequency: 14, turbulence: 1.2 },
+	},
+});
+
+registerBiome('barren', {
+	color: '#8c8178',
+	generic: true,
+	regionWeights: { 'Outer Rim': 1.5, 'Wild Space': 2, 'Unknown Regions': 1.5, 'Colonies': 0.5 },
+	procedural: {
+		palette: [[0, '#3b3632'], [0.5, '#6e655d'], [0.8, '#8c8178'], [1, '#b5aca3']],
+		noiseScale: 4,
+		ridges: true,
+		craters: true,
+	},
+});
+
+// ========== PLANÈTES SPÉCIFIQUES ==========
+
+registerBiome('coruscant', {
+	color: '#808080',
+	alwaysVisible: true,  // ← PLANÈTE PRINCIPALE
+	rotation: { period: 60, tilt: 18 },
+	textures: {
+		path: 'planets/coruscant',
+		files: {
+			diffuse: 'coruscant_diffuse.png',
+			bump: 'coruscant_bump.png',
+			specular: 'coruscant_specular.png',
+			clouds: 'coruscant_clouds.png',
+			cloudsbump: 'coruscant_clouds_bump.png',
+			citylights: 'coruscant_citylights.png',
+		},
+	},
+	procedural: {
+		palette: [[0, '#2b2b30'], [0.5, '#5a5a60'], [0.8, '#808080'], [1, '#b0a890']],
+		noiseScale: 12,
+		clouds: { coverage: 0.12, color: '#d8d8d8', scale: 3 },
+	},
+});
+
+registerBiome('taris', {
+	color: '#3d5c1d',
+	alwaysVisible: true,  // ← PLANÈTE PRINCIPALE
+	rotation: { period: 80, tilt: 12 },
+	textures: {
+		path: 'planets/taris',
+		files: {
+			diffuse: 'taris_diffuse.png',
+			bump: 'taris_bump.png',
+			specular: 'taris_specular.png',
+			clouds: 'taris_clouds.png',
+			cloudsbump: 'taris_cloud_bump.png',
+			citylights: 'taris_citylights.png',
+		},
+	},
+	procedural: {
+		palette: [[0, '#1f2a14'], [0.5, '#3d5c1d'], [0.8, '#6b6b55'], [1, '#9a9a88']],
+		noiseScale: 8,
+		clouds: { coverage: 0.2, color: '#e8e8e0', scale: 3 },
+	},
+});
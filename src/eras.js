@@ -0,0 +1,94 @@
+/**
+ * Ères et factions de la frise chronologique, partagées par le parser (validation) et le viewer
+ * Années galactiques signées (cf. planet-schema.js) : -19 = 19 BBY, 4 = 4 ABY.
+ *
+ * Affiliations (src/era-affiliations.json, généré depuis assets/era-affiliations.json) :
+ *   { regions: { nom: périodes }, sectors: { nom: périodes }, systems: { nom: périodes } }
+ * périodes = [{ faction, from?, to? }], bornes incluses, ouvertes si absentes.
+ * Pour une année, le système l'emporte sur son secteur, lui-même sur sa région ; entre périodes
+ * qui se chevauchent, la plus récemment commencée l'emporte (passation de pouvoir).
+ */
+
+const FACTIONS = new Map();
+
+export function registerFaction(key, definition) {
+	FACTIONS.set(key, { key, ...definition });
+}
+
+export function getFaction(key) {
+	return FACTIONS.get(key) ?? null;
+}
+
+export function getFactions() {
+	return [...FACTIONS.values()];
+}
+
+// Systèmes sans affiliation connue pour l'année affichée
+export const UNALIGNED_FACTION = { key: null, label: 'Non aligné', color: '#3a3a3a' };
+
+registerFaction('Galactic Republic', { label: 'République Galactique', color: '#d9423a' });
+registerFaction('Confederacy of Independent Systems', { label: 'Confédération des Systèmes Indépendants', color: '#4f7bd9' });
+registerFaction('Galactic Empire', { label: 'Empire Galactique', color: '#b8c2cc' });
+registerFaction('Rebel Alliance', { label: 'Alliance Rebelle', color: '#ff8c1a' });
+registerFaction('New Republic', { label: 'Nouvelle République', color: '#2fc48d' });
+registerFaction('First Order', { label: 'Premier Ordre', color: '#8a1020' });
+registerFaction('Hutt Clan', { label: 'Cartels Hutts', color: '#a8892c' });
+
+/**
+ * Ères de la frise, contiguës et dans l'ordre : [from, to] en années
+ */
+export const ERAS = [
+	{ key: 'oldRepublic', label: 'Ancienne République', from: -5000, to: -22 },
+	{ key: 'cloneWars', label: 'Guerre des Clones', from: -22, to: -19 },
+	{ key: 'empire', label: 'Empire Galactique', from: -19, to: 4 },
+	{ key: 'newRepublic', label: 'Nouvelle République', from: 4, to: 34 },
+	{ key: 'firstOrder', label: 'Premier Ordre', from: 34, to: 35 },
+];
+
+/**
+ * Ère d'une année (la dernière ère commencée aux bornes)
+ */
+export function getEra(year) {
+	return [...ERAS].reverse().find(era => year >= era.from) ?? ERAS[0];
+}
+
+/**
+ * Position sur la frise (0..1) → année : chaque ère occupe la même largeur, quelle que soit sa durée
+ */
+export function timelineToYear(position) {
+	const scaled = Math.min(Math.max(position, 0), 1) * ERAS.length;
+	const era = ERAS[Math.min(Math.floor(scaled), ERAS.length - 1)];
+	const progress = scaled - ERAS.indexOf(era);
+	return Math.round(era.from + (era.to - era.from) * progress);
+}
+
+export function yearToTimeline(year) {
+	const era = getEra(year);
+	const progress = (year - era.from) / (era.to - era.from);
+	return (ERAS.indexOf(era) + Math.min(Math.max(progress, 0), 1)) / ERAS.length;
+}
+
+/**
+ * Faction d'une liste de périodes pour une année (null : aucune période ne couvre l'année)
+ */
+export function findPeriodFaction(periods, year) {
+	let match = null;
+	periods?.forEach(period => {
+		const from = period.from ?? -Infinity;
+		if (year < from || year > (period.to ?? Infinity)) return;
+		if (!match || from >= (match.from ?? -Infinity)) match = period;
+	});
+	return match?.faction ?? null;
+}
+
+/**
+ * Faction contrôlant un système une année donnée (système, puis secteur, puis région)
+ * @param planet { name, sector, region }
+ * @param affiliations { regions, sectors, systems }
+ * @returns {string|null} clé de faction
+ */
+export function resolveFaction(planet, affiliations, year) {
+	return findPeriodFaction(affiliations.systems?.[planet.name], year)
+		?? findPeriodFaction(affiliations.sectors?.[planet.sector], year)
+		?? findPeriodFaction(affiliations.regions?.[planet.region], year);
+}
@@ -0,0 +1,104 @@
+/**
+ * Placement 3D déterministe des planètes
+ * Sans dépendance à Three.js : exécuté dans le worker de chargement.
+ */
+
+import {createSeededRandom} from './random.js';
+
+/**
+ * Profondeur (0..1) selon la région : le noyau reste sur le plan, la bordure s'en écarte
+ */
+function regionDepth(region, random) {
+	if (region.includes('Deep Core')) return 0.5;
+	if (region.includes('Core Worlds')) return 0.4 + random() * 0.2;
+	if (region.includes('Colonies')) return 0.3 + random() * 0.4;
+	if (region.includes('Mid Rim')) return 0.35 + random() * 0.3;
+	if (region.includes('Outer Rim')) return 0.1 + random() * 0.3;
+	if (region.includes('Unknown')) return random();
+	return 0.5;
+}
+
+/**
+ * Case de grille → position dans la sphère galactique
+ * @returns {number[]} [x, y, z]
+ */
+export function gridTo3D(gridX, gridY, depthFactor, random, config) {
+	if (depthFactor === undefined) depthFactor = random();
+
+	const centerGrid = config.GRID_CENTER;
+	const scale = config.SPHERE_RADIUS / (config.GRID_SIZE / 2);
+
+	const jitter = 0.5;
+	const scaleRandomFactor = 1 + (random() * 0.2 - 0.1);
+
+	const jitteredX = gridX - centerGrid + (random() * 2 - 1) * jitter;
+	const jitteredY = centerGrid - gridY + (random() * 2 - 1) * jitter;
+
+	let x = jitteredX * scale * scaleRandomFactor;
+	let y = jitteredY * scale * scaleRandomFactor;
+
+	const radialDistance = Math.sqrt(x * x + y * y);
+
+	const zFlattenFactor = 2;
+	const maxRadiusXY = config.SPHERE_RADIUS;
+
+	const density = Math.exp(-radialDistance / (maxRadiusXY / 2.5));
+	const randomZFactor = 1 + random() * 0.5;
+
+	let z = (depthFactor - 0.5) * maxRadiusXY * 2 * zFlattenFactor * density * randomZFactor;
+
+	const maxRadius3D = Math.sqrt(x * x + y * y + z * z);
+	if (maxRadius3D > config.SPHERE_RADIUS) {
+		const factor = config.SPHERE_RADIUS / maxRadius3D;
+		x *= factor;
+		y *= factor;
+		z *= factor;
+	}
+
+	return [x, y, z];
+}
+
+/**
+ * Positions de toutes les planètes, dans l'ordre du tableau
+ * @param planets Planètes (name, grid, region, x, y)
+ * @param config SEED, GRID_SIZE, GRID_CENTER, SPHERE_RADIUS
+ * @param onProgress Appelé avec l'avancement (0..1)
+ * @returns {Float32Array} x, y, z entrelacés
+ */
+export function layoutPlanets(planets, config, onProgress = () => {}) {
+	const positions = new Float32Array(planets.length * 3);
+
+	// Les planètes d'une même case sont étagées en profondeur selon leur rang dans la case
+	const gridSizes = new Map();
+	planets.forEach(planet => {
+		gridSizes.set(planet.grid, (gridSizes.get(planet.grid) || 0) + 1);
+	});
+	const gridRanks = new Map();
+
+	const progressStep = Math.max(1, Math.floor(planets.length / 20));
+
+	planets.forEach((planet, i) => {
+		// PRNG propre à chaque planète : même dataset + même seed = même layout
+		const random = createSeededRandom(config.SEED, planet.name, planet.grid);
+		let depth = regionDepth(planet.region, random);
+
+		const planetsInGrid = gridSizes.get(planet.grid);
+		const indexInGrid = gridRanks.get(planet.grid) || 0;
+		gridRanks.set(planet.grid, indexInGrid + 1);
+
+		if (planetsInGrid > 1) {
+			depth += (indexInGrid / planetsInGrid - 0.5) * 0.1;
+			depth = Math.max(0, Math.min(1, depth));
+		}
+
+		const [x, y, z] = gridTo3D(planet.x, planet.y, depth, random, config);
+		positions[i * 3] = x + (random() - 0.5) * 2;
+		positions[i * 3 + 1] = y + (random() - 0.5) * 2;
+		positions[i * 3 + 2] = z + (random() - 0.5) * 2;
+
+		if (i % progressStep === 0) onProgress(i / planets.length);
+	});
+
+	onProgress(1);
+	return positions;
+}
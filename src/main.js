@@ -1,5 +1,19 @@
 import * as THREE from 'three';
 import {OrbitControls} from 'three/addons/controls/OrbitControls.js';
+import {MarchingCubes} from 'three/addons/objects/MarchingCubes.js';
+import {createSeededRandom} from './random.js';
+import {getBiome, getBiomes} from './biome-registry.js';
+import {generateBiomeTextures} from './procedural-textures.js';
+import {TextureStreamer, isAbortError} from './texture-streamer.js';
+import {TextureCache, disposeTexture} from './texture-cache.js';
+import {columnsToPlanets} from './planets-format.js';
+import {PlanetLOD} from './planet-lod.js';
+import {PlanetStore} from './planet-store.js';
+import {SpatialIndex} from './spatial-index.js';
+import {RoutePlanner} from './route-planner.js';
+import {SearchIndex} from './search-index.js';
+import {getPlanetInfoRows, escapeHtml, formatGalacticYear} from './planet-schema.js';
+import {ERAS, UNALIGNED_FACTION, getEra, getFaction, resolveFaction, timelineToYear, yearToTimeline} from './eras.js';
 
 const isMobile = () => {
 	return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i
@@ -10,11 +24,59 @@ const isMobile = () => {
 // Configuration
 const CONFIG = {
 	GRID_SIZE: 21,
+	GRID_CENTER: 11,  // Case de grille au centre de la galaxie (x et y)
 	SPHERE_RADIUS: 200,
 	PLANET_SIZE: 0.5,
 	ANIMATION_SPEED: 0.5,
+	// Seed global du placement 3D (surchargeable via ?seed=...)
+	SEED: new URLSearchParams(location.search).get('seed') || 'sw3dmap',
+	// Saut hyperespace max par défaut pour le calcul d'itinéraire (en cases de grille)
+	ROUTE_MAX_JUMP: 1.5,
+	// Coût d'un saut le long d'une hyperlane, relatif à sa distance (< 1 = favorisé)
+	HYPERLANE_COST_FACTOR: 0.5,
+	SEARCH_MAX_RESULTS: 12,
+	// Systèmes proches listés dans la fiche de la planète focusée (desktop)
+	NEARBY_PLANETS_COUNT: 5,
+	// Résolution du champ de densité des territoires régionaux (cellules par axe)
+	REGION_VOLUME_RESOLUTION: 48,
+	// Deux planètes d'un même secteur plus proches que ce seuil (en cases) sont dans le même cluster
+	SECTOR_CLUSTER_DISTANCE: 2.5,
+	SECTOR_MIN_PLANETS: 3,
+	// Niveaux de détail des planètes selon la distance caméra : sphères, low-poly puis sprites
+	LOD_NEAR_DISTANCE: 25,
+	LOD_FAR_DISTANCE: 150,
+	// Marge de sélection autour des planètes lointaines (pixels à l'écran)
+	PICK_TOLERANCE_PIXELS: 4,
+	// Labels des planètes notables affichés au zoom minimum (tous au zoom maximum)
+	LABEL_MIN_COUNT: 10,
+	LABEL_OCCLUSION_CHECKS_PER_FRAME: 8,
+	// Téléchargements simultanés de textures HD (aperçu et calques)
+	HD_TEXTURE_CONCURRENCY: 3,
+	// Budget mémoire du cache des textures HD (Mo), au-delà les moins récentes sont libérées
+	HD_TEXTURE_CACHE_MB: isMobile() ? 96 : 256,
+	// Largeur visée des calques HD (variantes du manifest) : deux fois le petit côté de l'écran, 512 sur mobile
+	HD_TEXTURE_WIDTH: isMobile() ? 512 : 2 * Math.min(screen.width, screen.height) * (window.devicePixelRatio || 1),
+	// Rotation propre des planètes HD (en temps d'animation) : période tirée dans [min, max], axe incliné jusqu'à MAX_TILT°
+	PLANET_ROTATION_PERIOD: [40, 120],
+	PLANET_MAX_TILT: 30,
+	// Période des nuages relative à celle de la surface (< 1 : ils dérivent en avance)
+	CLOUD_PERIOD_FACTOR: 0.8,
+	// Panneau de debug (cache des textures, mémoire GPU) : ?debug dans l'URL
+	DEBUG_OVERLAY: new URLSearchParams(location.search).has('debug'),
+	// Durée du fondu des couleurs de planètes au changement d'année de la frise (ms)
+	ERA_TRANSITION_DURATION: 800,
 };
 
+// Part de la progression de chargement consacrée aux données (worker), le reste à la scène
+const LOADING_DATA_SHARE = 0.8;
+const LOADING_PHASE_LABELS = {
+	download: 'Téléchargement des planètes...',
+	decode: 'Décodage des données...',
+	layout: 'Placement 3D des systèmes...',
+};
+
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
 const isDev = location.hostname == 'localhost';
 const host = isDev
 	? '/assets'
@@ -22,241 +84,466 @@ const host = isDev
 
 // ========== GESTION TEXTURES HD ==========
 
-const TEXTURE_MAPS_BASE = {
-	volcanic: {
-		diffuse: 'volcanic_diffuse.png',
-		bump: 'volcanic_bump.png',
-		roughness: 'volcanic_roughness.png',
-		elevation: 'volcanic_elevation.png',
-		clouds: 'volcanic_clouds.png',
-		lava: 'volcanic_lava.png',
-		citylights: 'volcanic_citylights.png',
-	},
-	oceanic: {
-		diffuse: 'oceanic_diffuse.png',
-		bump: 'oceanic_bump.png',
-		roughness: 'oceanic_roughness.png',
-		elevation: 'oceanic_elevation.png',
-		clouds: 'oceanic_clouds.png',
-		lava: 'oceanic_islands.png',
-		citylights: 'oceanic_citylights.png',
-	},
-};
+// Manifest des textures HD (npm run textures) : remplace les listes de fichiers du registre
+let texturesManifest = null;
+
+async function loadTexturesManifest() {
+	try {
+		const response = await fetch(`${host}/textures-manifest.json`);
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+		texturesManifest = await response.json();
+		console.log(`✅ Manifest des textures chargé (${Object.keys(texturesManifest.biomes).length} biomes)`);
+	} catch (error) {
+		console.warn('⚠️ Manifest des textures indisponible, fichiers du registre utilisés:', error.message);
+	}
+}
 
-const PLANET_SPECIFIC_TEXTURES = {
-	coruscant: {
-		diffuse: 'coruscant_diffuse.png',
-		bump: 'coruscant_bump.png',
-		roughness: null,
-		specular: 'coruscant_specular.png',
-		elevation: null,
-		clouds: 'coruscant_clouds.png',
-		cloudsbump: 'coruscant_clouds_bump.png',
-		citylights: 'coruscant_citylights.png',
-		alwaysVisible: true,  // ← PLANÈTE PRINCIPALE
+// Ordre de streaming des calques, après l'aperçu (specular n'est pas rendu : jamais téléchargé)
+const HD_LAYER_ORDER = ['diffuse', 'bump', 'clouds', 'cloudsbump', 'citylights', 'lava', 'elevation', 'roughness'];
+const LINEAR_LAYERS = new Set(['bump', 'elevation', 'roughness', 'cloudsbump']);
+
+const CITYLIGHTS_VERTEX_SHADER = `
+	varying vec2 vUv;
+	varying vec3 vWorldNormal;
+
+	void main() {
+		vUv = uv;
+		vWorldNormal = normalize(mat3(modelMatrix) * normal);
+		gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+	}
+`;
+
+const CITYLIGHTS_FRAGMENT_SHADER = `
+	uniform sampler2D map;
+	uniform float opacity;
+	uniform vec3 sunDirection;
+	varying vec2 vUv;
+	varying vec3 vWorldNormal;
+
+	void main() {
+		// Éteintes côté jour, fondu progressif autour du terminateur
+		float night = smoothstep(0.15, -0.2, dot(normalize(vWorldNormal), sunDirection));
+		vec4 texel = texture2D(map, vUv);
+		gl_FragColor = vec4(texel.rgb * night * opacity, texel.a);
+	}
+`;
+
+/**
+ * Calques superposés à la surface, créés à l'arrivée de leur texture
+ * renderOrder garde l'ordre de dessin quel que soit l'ordre d'arrivée.
+ */
+const HD_OVERLAYS = {
+	// Lumières urbaines, visibles seulement côté nuit (cf. CITYLIGHTS_FRAGMENT_SHADER)
+	citylights: {
+		scale: 1.002,
+		renderOrder: 1,
+		createMaterial: (map, planetGroup) => new THREE.ShaderMaterial({
+			uniforms: {
+				map: { value: map },
+				opacity: { value: 0.8 },
+				sunDirection: { value: planetGroup.userData.sunDirection },
+			},
+			vertexShader: CITYLIGHTS_VERTEX_SHADER,
+			fragmentShader: CITYLIGHTS_FRAGMENT_SHADER,
+			transparent: true,
+			blending: THREE.AdditiveBlending,
+			depthWrite: false,
+		}),
+	},
+	// Couches de lave/éléments additifs
+	lava: {
+		scale: 1.003,
+		renderOrder: 2,
+		createMaterial: (map) => new THREE.MeshBasicMaterial({
+			map,
+			transparent: true,
+			blending: THREE.AdditiveBlending,
+			opacity: 0.4,
+			depthWrite: false,
+		}),
 	},
-	taris: {
-		diffuse: 'taris_diffuse.png',
-		bump: 'taris_bump.png',
-		roughness: null,
-		specular: 'taris_specular.png',
-		elevation: null,
-		clouds: 'taris_clouds.png',
-		cloudsbump: 'taris_cloud_bump.png',
-		citylights: 'taris_citylights.png',
-		alwaysVisible: true,  // ← PLANÈTE PRINCIPALE
+	// Nuages atmosphériques, qui dérivent indépendamment de la surface
+	clouds: {
+		scale: 1.015,
+		renderOrder: 3,
+		drifts: true,
+		createMaterial: (map) => new THREE.MeshPhongMaterial({
+			map,
+			transparent: true,
+			opacity: 0.6,
+			depthWrite: false,
+			side: THREE.FrontSide,
+		}),
 	},
 };
 
-const TEXTURE_MAPS = {};
-
-Object.entries(TEXTURE_MAPS_BASE).forEach(([biome, files]) => {
-	TEXTURE_MAPS[biome] = {};
-	Object.entries(files).forEach(([type, filename]) => {
-		TEXTURE_MAPS[biome][type] = `${host}/textures/${biome}/${filename}`;
-	});
-});
-
-Object.entries(PLANET_SPECIFIC_TEXTURES).forEach(([planetName, files]) => {
-	TEXTURE_MAPS[planetName] = {};
-	Object.entries(files).forEach(([type, filename]) => {
-		if (filename && type !== 'alwaysVisible') {
-			TEXTURE_MAPS[planetName][type] = `${host}/planets/${planetName}/${filename}`;
-		}
-	});
-});
-
-const HdTextureCache = new Map();
-
-async function loadHDTexturesAsync(biomeKey) {
-	if (HdTextureCache.has(biomeKey)) return HdTextureCache.get(biomeKey);
+/**
+ * Variante la plus large qui ne dépasse pas CONFIG.HD_TEXTURE_WIDTH (la plus petite à défaut)
+ * @param variants Du manifest, de la pleine résolution à la plus petite
+ */
+function pickTextureVariant(variants) {
+	return variants.find(variant => variant.width <= CONFIG.HD_TEXTURE_WIDTH) ?? variants[variants.length - 1];
+}
 
-	const loader = new THREE.TextureLoader();
-	const files = TEXTURE_MAPS[biomeKey];
-	if (!files) {
-		console.warn(`Aucune texture HD définie pour le biome: ${biomeKey}`);
-		return null;
+/**
+ * Calques HD téléchargeables d'un biome, dans l'ordre de streaming, null si aucun
+ * Avec le manifest : variante WebP adaptée à l'écran (pickTextureVariant) et plus petite variante en aperçu.
+ * Sans manifest : PNG déclarés dans le registre (cf. biome-registry.js), sans aperçu.
+ * @returns {{type: string, url: string, previewUrl: string|null}[] | null}
+ */
+function getTextureLayers(biomeKey) {
+	let layers;
+
+	if (texturesManifest) {
+		const entry = texturesManifest.biomes[biomeKey];
+		if (!entry) return null;
+
+		layers = Object.entries(entry.layers).map(([type, { variants }]) => {
+			const variant = pickTextureVariant(variants);
+			const preview = variants[variants.length - 1];
+			return {
+				type,
+				url: `${host}/${entry.path}/${variant.file}`,
+				previewUrl: preview !== variant ? `${host}/${entry.path}/${preview.file}` : null,
+			};
+		});
+	} else {
+		const textures = getBiome(biomeKey)?.textures;
+		if (!textures) return null;
+
+		layers = Object.entries(textures.files).map(([type, filename]) => ({
+			type,
+			url: `${host}/${textures.path}/${filename}`,
+			previewUrl: null,
+		}));
 	}
 
-	const entries = await Promise.all(
-		Object.entries(files)
-			.filter(([k, url]) => url)
-			.map(async ([k, url]) => {
-				try {
-					const tex = await loader.loadAsync(url);
-					return [k, tex];
-				} catch (error) {
-					console.warn(`⚠️ Impossible de charger ${k} depuis ${url}:`, error.message);
-					return [k, null];
-				}
-			})
-	);
+	return layers
+		.filter(layer => HD_LAYER_ORDER.includes(layer.type))
+		.sort((a, b) => HD_LAYER_ORDER.indexOf(a.type) - HD_LAYER_ORDER.indexOf(b.type));
+}
 
-	const tex = Object.fromEntries(entries);
-	HdTextureCache.set(biomeKey, tex);
-	return tex;
+/**
+ * Le biome a-t-il un rendu HD (fichiers ou génération procédurale) ?
+ */
+function hasHDTextures(biomeKey) {
+	return Boolean(getTextureLayers(biomeKey) || getBiome(biomeKey)?.procedural);
 }
 
-async function createHDPlanetMesh(biomeKey, planetRadius) {
-	const tex = await loadHDTexturesAsync(biomeKey);
-	if (!tex || !tex.diffuse) {
-		console.error(`❌ Impossible de créer le mesh HD : pas de texture diffuse pour ${biomeKey}`);
-		return null;
-	}
+const textureStreamer = new TextureStreamer({ concurrency: CONFIG.HD_TEXTURE_CONCURRENCY });
+
+// Textures HD chargées, par URL (ou biome:seed pour les textures procédurales)
+const HdTextureCache = new TextureCache({ budgetMB: CONFIG.HD_TEXTURE_CACHE_MB });
+// Biomes dont les fichiers sont introuvables : on ne retente pas le téléchargement
+const MissingHdTextures = new Set();
+
+/**
+ * Rotation propre d'une planète : période (temps d'animation) et inclinaison de l'axe (degrés)
+ * Déclarée dans le registre des biomes (rotation) ou tirée du seed pour chaque planète.
+ */
+function getPlanetRotation(planet) {
+	const random = createSeededRandom(CONFIG.SEED, planet.name, 'rotation');
+	const [minPeriod, maxPeriod] = CONFIG.PLANET_ROTATION_PERIOD;
+	const rotation = {
+		period: minPeriod + random() * (maxPeriod - minPeriod),
+		tilt: random() * CONFIG.PLANET_MAX_TILT,
+		...getBiome(planet.biome)?.rotation,
+	};
+
+	rotation.cloudPeriod ??= rotation.period * CONFIG.CLOUD_PERIOD_FACTOR;
+	return rotation;
+}
 
-	// Réglage des encodages
-	if (tex.diffuse) tex.diffuse.encoding = THREE.sRGBEncoding;
-	if (tex.bump) tex.bump.encoding = THREE.LinearEncoding;
-	if (tex.roughness) tex.roughness.encoding = THREE.LinearEncoding;
-	if (tex.elevation) tex.elevation.encoding = THREE.LinearEncoding;
-	if (tex.specular) tex.specular.encoding = THREE.LinearEncoding;
-	if (tex.citylights) tex.citylights.encoding = THREE.sRGBEncoding;
-	if (tex.clouds) tex.clouds.encoding = THREE.sRGBEncoding;
-	if (tex.cloudsbump) tex.cloudsbump.encoding = THREE.LinearEncoding;
-	if (tex.lava) tex.lava.encoding = THREE.sRGBEncoding;
+/**
+ * Direction (monde) de l'étoile locale d'une planète
+ * Décalée de 60 à 120° de l'axe galactocentrique : la caméra, placée côté extérieur au focus,
+ * voit le terminateur jour/nuit.
+ */
+function getStarDirection(planet) {
+	const random = createSeededRandom(CONFIG.SEED, planet.name, 'star');
+	const outward = planet.position.lengthSq() > 0
+		? planet.position.clone().normalize()
+		: new THREE.Vector3(1, 0, 0);
+	const angle = THREE.MathUtils.degToRad(60 + random() * 60) * (random() < 0.5 ? -1 : 1);
+
+	return outward.applyAxisAngle(new THREE.Vector3(0, 1, 0), angle).normalize();
+}
 
-	// Groupe principal contenant tous les layers
+/**
+ * Mesh HD vide (couleur du biome) : les calques arrivent ensuite via setHDLayer
+ * Hiérarchie : groupe (position) → axe incliné → rotation propre (surface, lumières, lave)
+ *                                              → nuages (période propre)
+ */
+function createHDPlanetMesh(planetRadius, color, rotation) {
 	const planetGroup = new THREE.Group();
 
-	// ========== LAYER 1 : Surface principale (diffuse + bump + elevation) ==========
+	const axis = new THREE.Group();
+	axis.rotation.z = THREE.MathUtils.degToRad(rotation.tilt);
+	const spin = new THREE.Group();
+	const cloudLayer = new THREE.Group();
+	axis.add(spin, cloudLayer);
+	planetGroup.add(axis);
+
+	// Surface principale (diffuse + bump + elevation)
 	const surfaceGeo = new THREE.SphereGeometry(planetRadius, 128, 128);
 	const surfaceMat = new THREE.MeshStandardMaterial({
-		map: tex.diffuse,
+		color,
 		transparent: false,
 		side: THREE.FrontSide,
 		metalness: 0,
 		roughness: 0.9,
 	});
 
-	if (tex.bump) {
-		surfaceMat.bumpMap = tex.bump;
-		surfaceMat.bumpScale = 0.02;
-	}
-
-	if (tex.elevation) {
-		surfaceMat.displacementMap = tex.elevation;
-		surfaceMat.displacementScale = 0.015;
-	}
-
-	// ← IMPORTANT : Ne pas utiliser roughnessMap directement si tu veux pas de réflexions
-	// À la place, augmente le roughness global
-	if (tex.roughness) {
-		// Option 1 : Ignorer la roughnessMap
-		// surfaceMat.roughnessMap = tex.roughness;
-
-		// Option 2 : Utiliser la roughnessMap mais garder roughness à 1
-		surfaceMat.roughnessMap = tex.roughness;
-		surfaceMat.roughness = 1; // Force à maximum
-	}
-
-	const surfaceMesh = new THREE.Mesh(surfaceGeo, surfaceMat);
-	planetGroup.add(surfaceMesh);
-
-	// ========== LAYER 2 : Specular (reflets métalliques) ==========
-	// if (tex.specular) {
-	// 	const specularGeo = new THREE.SphereGeometry(planetRadius * 1.001, 64, 64);
-	// 	const specularMat = new THREE.MeshStandardMaterial({
-	// 		map: tex.specular,
-	// 		transparent: true,
-	// 		opacity: 0.5,
-	// 		blending: THREE.AdditiveBlending,
-	// 		depthWrite: false,
-	// 		metalness: 0.3,
-	// 		roughness: 0.2,
-	// 	});
-	// 	const specularMesh = new THREE.Mesh(specularGeo, specularMat);
-	// 	planetGroup.add(specularMesh);
-	// }
-
-	// ========== LAYER 3 : City Lights (lumières urbaines/émissives) ==========
-	if (tex.citylights) {
-		const lightsGeo = new THREE.SphereGeometry(planetRadius * 1.002, 64, 64);
-		const lightsMat = new THREE.MeshBasicMaterial({
-			map: tex.citylights,
-			transparent: true,
-			blending: THREE.AdditiveBlending,
-			opacity: 0.8,
-			depthWrite: false,
-		});
-		const lightsMesh = new THREE.Mesh(lightsGeo, lightsMat);
-		planetGroup.add(lightsMesh);
+	const surface = new THREE.Mesh(surfaceGeo, surfaceMat);
+	spin.add(surface);
+
+	planetGroup.userData = {
+		radius: planetRadius,
+		rotation,
+		spin,
+		cloudLayer,
+		sunDirection: new THREE.Vector3(1, 0, 0),
+		surface,
+		overlays: {},
+		layers: {},
+		textureKeys: [],
+		preview: null,
+		stream: null,
+	};
+
+	return planetGroup;
+}
+
+/**
+ * Rotation propre et dérive des nuages à l'instant time (temps d'animation)
+ */
+function animateHDPlanetMesh(planetGroup, time) {
+	const { spin, cloudLayer, rotation } = planetGroup.userData;
+	spin.rotation.y = (time / rotation.period) * Math.PI * 2;
+	cloudLayer.rotation.y = (time / rotation.cloudPeriod) * Math.PI * 2;
+}
+
+/**
+ * Aperçu basse résolution du diffuse, remplacé (et libéré) à l'arrivée du vrai calque
+ */
+function setHDPreview(planetGroup, texture) {
+	const { surface, layers } = planetGroup.userData;
+	if (layers.diffuse) {
+		disposeTexture(texture);
+		return;
 	}
 
-	// ========== LAYER 4 : Lava (couches de lave/éléments additifs) ==========
-	if (tex.lava) {
-		const lavaGeo = new THREE.SphereGeometry(planetRadius * 1.003, 64, 64);
-		const lavaMat = new THREE.MeshBasicMaterial({
-			map: tex.lava,
-			transparent: true,
-			blending: THREE.AdditiveBlending,
-			opacity: 0.4,
-			depthWrite: false,
-		});
-		const lavaMesh = new THREE.Mesh(lavaGeo, lavaMat);
-		planetGroup.add(lavaMesh);
+	texture.encoding = THREE.sRGBEncoding;
+	planetGroup.userData.preview = texture;
+	surface.material.map = texture;
+	surface.material.color.set(0xffffff);
+	surface.material.needsUpdate = true;
+}
+
+/**
+ * Branche un calque HD sur le mesh (matériau de surface ou calque superposé)
+ */
+function setHDLayer(planetGroup, type, texture) {
+	const { surface, overlays, layers, radius, spin, cloudLayer } = planetGroup.userData;
+	const material = surface.material;
+
+	texture.encoding = LINEAR_LAYERS.has(type) ? THREE.LinearEncoding : THREE.sRGBEncoding;
+	layers[type] = texture;
+
+	switch (type) {
+		case 'diffuse':
+			material.map = texture;
+			material.color.set(0xffffff);
+			if (planetGroup.userData.preview) {
+				disposeTexture(planetGroup.userData.preview);
+				planetGroup.userData.preview = null;
+			}
+			break;
+		case 'bump':
+			material.bumpMap = texture;
+			material.bumpScale = 0.02;
+			break;
+		case 'elevation':
+			material.displacementMap = texture;
+			material.displacementScale = 0.015;
+			break;
+		case 'roughness':
+			// ← Utiliser la roughnessMap mais garder roughness à 1 (pas de réflexions)
+			material.roughnessMap = texture;
+			material.roughness = 1;
+			break;
+		case 'cloudsbump':
+			break;
+		default: {
+			const overlay = HD_OVERLAYS[type];
+			if (!overlay) return;
+
+			if (overlays[type]) {
+				const overlayMaterial = overlays[type].material;
+				if (overlayMaterial.uniforms) {
+					overlayMaterial.uniforms.map.value = texture;
+				} else {
+					overlayMaterial.map = texture;
+					overlayMaterial.needsUpdate = true;
+				}
+			} else {
+				const geometry = new THREE.SphereGeometry(radius * overlay.scale, 64, 64);
+				const mesh = new THREE.Mesh(geometry, overlay.createMaterial(texture, planetGroup));
+				mesh.renderOrder = overlay.renderOrder;
+				overlays[type] = mesh;
+				(overlay.drifts ? cloudLayer : spin).add(mesh);
+			}
+		}
 	}
 
-	// ========== LAYER 5 : Clouds (nuages atmosphériques) ==========
-	if (tex.clouds) {
-		const cloudsGeo = new THREE.SphereGeometry(planetRadius * 1.015, 64, 64);
-		const cloudsMat = new THREE.MeshPhongMaterial({
-			map: tex.clouds,
-			transparent: true,
-			opacity: 0.6,
-			depthWrite: false,
-			side: THREE.FrontSide,
+	// Relief des nuages : appliqué dès que nuages et relief sont tous deux arrivés
+	if (overlays.clouds && layers.cloudsbump && overlays.clouds.material.bumpMap !== layers.cloudsbump) {
+		overlays.clouds.material.bumpMap = layers.cloudsbump;
+		overlays.clouds.material.bumpScale = 0.3;
+		overlays.clouds.material.needsUpdate = true;
+	}
+
+	material.needsUpdate = true;
+}
+
+/**
+ * Retient une entrée du cache pour la durée de vie du mesh (relâchée par disposeHDPlanetMesh)
+ */
+function retainHDTextures(planetGroup, cacheKey) {
+	HdTextureCache.acquire(cacheKey);
+	planetGroup.userData.textureKeys.push(cacheKey);
+}
+
+/**
+ * Libère un mesh HD : annule son streaming, géométries, matériaux et aperçu
+ * Ses textures sont relâchées : elles restent en cache jusqu'à éviction (cf. texture-cache.js).
+ */
+function disposeHDPlanetMesh(planetGroup) {
+	const { stream, preview, textureKeys } = planetGroup.userData;
+	stream?.abort();
+	if (preview) disposeTexture(preview);
+	textureKeys.forEach(key => HdTextureCache.release(key));
+	planetGroup.userData.textureKeys = [];
+
+	planetGroup.traverse((child) => {
+		if (child.geometry) child.geometry.dispose();
+		if (child.material) {
+			if (Array.isArray(child.material)) {
+				child.material.forEach(m => m.dispose());
+			} else {
+				child.material.dispose();
+			}
+		}
+	});
+}
+
+/**
+ * Charge progressivement les textures HD d'un biome sur un mesh créé par createHDPlanetMesh
+ * Aperçu du diffuse d'abord, puis chaque calque dans l'ordre HD_LAYER_ORDER dès son arrivée.
+ * Sans fichiers (ou diffuse introuvable) : génération procédurale, variée par seedKey.
+ * @param options.signal AbortSignal : retire les calques en attente et interrompt les téléchargements
+ * @param options.onProgress (loaded, total) => void
+ * @returns {Promise<boolean>} false si aucun diffuse n'a pu être appliqué
+ */
+async function streamHDTextures(biomeKey, seedKey, planetGroup, { signal, onProgress = () => {} } = {}) {
+	const biome = getBiome(biomeKey);
+	const layers = MissingHdTextures.has(biomeKey) ? null : getTextureLayers(biomeKey);
+
+	if (layers) {
+		const diffuse = layers.find(layer => layer.type === 'diffuse');
+		let loaded = 0;
+		onProgress(loaded, layers.length);
+
+		const requests = layers.map(async ({ type, url }, i) => {
+			let texture = HdTextureCache.get(url);
+			if (!texture) {
+				texture = await textureStreamer.load(url, { priority: i + 1, signal });
+				HdTextureCache.set(url, texture);
+				signal?.throwIfAborted();
+			}
+			retainHDTextures(planetGroup, url);
+			setHDLayer(planetGroup, type, texture);
+			onProgress(++loaded, layers.length);
 		});
 
-		if (tex.cloudsbump) {
-			cloudsMat.bumpMap = tex.cloudsbump;
-			cloudsMat.bumpScale = 0.3;
+		if (diffuse?.previewUrl && !HdTextureCache.has(diffuse.url)) {
+			requests.push(
+				textureStreamer.load(diffuse.previewUrl, { priority: 0, signal })
+					.then(texture => signal?.aborted ? disposeTexture(texture) : setHDPreview(planetGroup, texture))
+			);
 		}
 
-		const cloudsMesh = new THREE.Mesh(cloudsGeo, cloudsMat);
-		planetGroup.add(cloudsMesh);
+		const results = await Promise.allSettled(requests);
+		signal?.throwIfAborted();
+
+		results.forEach((result, i) => {
+			if (result.status === 'rejected') {
+				const url = layers[i]?.url ?? diffuse.previewUrl;
+				console.warn(`⚠️ Impossible de charger ${url}:`, result.reason.message);
+			}
+		});
+
+		if (planetGroup.userData.layers.diffuse || !biome?.procedural) {
+			return Boolean(planetGroup.userData.layers.diffuse);
+		}
+		MissingHdTextures.add(biomeKey);
 	}
 
-	return planetGroup;
+	if (!biome?.procedural) return false;
+
+	// Génération sur le thread principal : laisser d'abord le mesh (couleur du biome) s'afficher
+	await nextFrame();
+	signal?.throwIfAborted();
+
+	const proceduralKey = `${biomeKey}:${seedKey}`;
+	let textures = HdTextureCache.get(proceduralKey);
+	if (!textures) {
+		textures = generateBiomeTextures(biome.procedural, `${CONFIG.SEED}:${proceduralKey}`);
+		HdTextureCache.set(proceduralKey, textures);
+	}
+	retainHDTextures(planetGroup, proceduralKey);
+	Object.entries(textures).forEach(([type, texture]) => setHDLayer(planetGroup, type, texture));
+	return true;
 }
 
+// ========== FICHE DES PLANÈTES ==========
+
+// Icônes (chemins SVG 20x20) par champ de la fiche, cf. planet-schema.js
+const PLANET_INFO_ICONS = {
+	grid: '<path fill-rule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clip-rule="evenodd"></path>',
+	sector: '<path d="M10.894 2.553a1 1 0 00-1.788 0l-7 14a1 1 0 001.169 1.409l5-1.429A1 1 0 009 15.571V11a1 1 0 112 0v4.571a1 1 0 00.725.962l5 1.428a1 1 0 001.17-1.408l-7-14z"></path>',
+	region: '<path d="M10 3.5a1.5 1.5 0 013 0V4a1 1 0 001 1h3a1 1 0 011 1v3a1 1 0 01-1 1h-.5a1.5 1.5 0 000 3h.5a1 1 0 011 1v3a1 1 0 01-1 1h-3a1 1 0 01-1-1v-.5a1.5 1.5 0 00-3 0v.5a1 1 0 01-1 1H6a1 1 0 01-1-1v-3a1 1 0 00-1-1h-.5a1.5 1.5 0 010-3H4a1 1 0 001-1V6a1 1 0 011-1h3a1 1 0 001-1v-.5z"></path>',
+	biome: '<path fill-rule="evenodd" d="M2 4a1 1 0 011-1h6a1 1 0 011 1v12a1 1 0 11-2 0V7H3v9a1 1 0 11-2 0V4zm8 0a1 1 0 011-1h6a1 1 0 011 1v12a1 1 0 11-2 0V7h-3v9a1 1 0 11-2 0V4z" clip-rule="evenodd"></path>',
+	suns: '<path fill-rule="evenodd" d="M10 2a1 1 0 011 1v1a1 1 0 11-2 0V3a1 1 0 011-1zm4 8a4 4 0 11-8 0 4 4 0 018 0zm-.464 4.95l.707.707a1 1 0 001.414-1.414l-.707-.707a1 1 0 00-1.414 1.414zm2.12-10.607a1 1 0 010 1.414l-.706.707a1 1 0 11-1.414-1.414l.707-.707a1 1 0 011.414 0zM17 11a1 1 0 100-2h-1a1 1 0 100 2h1zm-7 4a1 1 0 011 1v1a1 1 0 11-2 0v-1a1 1 0 011-1zM5.05 6.464A1 1 0 106.465 5.05l-.708-.707a1 1 0 00-1.414 1.414l.707.707zm1.414 8.486l-.707.707a1 1 0 01-1.414-1.414l.707-.707a1 1 0 011.414 1.414zM4 11a1 1 0 100-2H3a1 1 0 000 2h1z" clip-rule="evenodd"></path>',
+	moons: '<path d="M17.293 13.293A8 8 0 016.707 2.707a8.001 8.001 0 1010.586 10.586z"></path>',
+	default: '<path fill-rule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z" clip-rule="evenodd"></path>',
+};
+
 // ==========================================
 
 class GalaxyViewer {
 	constructor() {
 		this.isMobile = isMobile();  // ← AJOUTER
-		this.instanceIndexToPlanetIndex = new Map();  // ← AJOUTER: mapping
 
-		this.regionalClouds = [];
+		this.regionVolumes = [];
 		this.planets = [];
 		this.planetData = [];
 		this.planetVelocities = new Map();
-		this.selectedPlanetIndex = null;
+		this.planetStore = null;
+		this.hoveredPlanetIndex = null;
 		this.raycaster = new THREE.Raycaster();
 		this.mouse = new THREE.Vector2();
 		this.focusedHdMesh = null;
 		this.focusedHdMeshKey = null;
 		this.alwaysVisibleMeshes = new Map();
 
+		// Filtres actifs (ensembles vides = tout afficher)
+		this.filters = {
+			hiddenRegions: new Set(),
+			sectors: new Set(),
+			biomes: new Set(),
+		};
+
 		this.spotlights = [];
 		this.ambientLight = null;
 
@@ -269,32 +556,65 @@ class GalaxyViewer {
 		this.init();
 	}
 
+	/**
+	 * Index de la planète focusée (null : aucune), tenu par le store
+	 */
+	get selectedPlanetIndex() {
+		return this.planetStore?.focusedId ?? null;
+	}
+
 	async init() {
 		console.log('🚀 Initialisation de la galaxie volumétrique 3D...');
 
 		await this.loadPlanets();
-		this.populateSearchDatalist();
+		await loadTexturesManifest();
+		await this.loadHyperlanes();
+		await this.loadNotablePlanets();
+		await this.loadPlanetDetails();
+		await this.loadEraAffiliations();
+		this.searchIndex = new SearchIndex(this.planets);
+
+		// Construction de la scène par étapes, en rendant la main au navigateur pour afficher l'avancement
+		this.setLoadingProgress(LOADING_DATA_SHARE, 'Construction de la scène...');
+		await nextFrame();
 		this.setupScene();
 		this.setupCamera();
 		this.setupRenderer();
 		this.setupControls();
 		this.setupLights();
 		this.createVolumetricGalaxy();
+
+		this.setLoadingProgress(LOADING_DATA_SHARE + 0.05, 'Placement des planètes...');
+		await nextFrame();
 		this.createInstancedPlanets();
+
+		this.setLoadingProgress(LOADING_DATA_SHARE + 0.12, 'Hyperlanes et secteurs...');
+		await nextFrame();
+		this.createHyperlanes();
+		this.createGridOverlay();
+		this.createSectors();
+		this.setupFilters();
+		this.setupEraTimeline();
 		this.setupEvents();
 		this.setupSearchEvents();
+		this.setupRoutePlanner();
+		this.setLoadingProgress(1);
 
 		// ← AJOUTER: Créer les tooltips après avoir créé les alwaysVisible meshes
 		this.setupPlanetTooltips();
+		this.setupPlanetLabels();
 
 		this.animate();
 
 		document.getElementById('loading').style.display = 'none';
 		console.log('✅ Galaxie volumétrique chargée!');
 
+		// Restaurer la vue d'un lien partagé, sinon auto-focus Coruscant sur mobile
+		const restoredFromUrl = await this.setupDeepLinks();
+
 		// ← AJOUTER: Auto-focus Coruscant sur mobile
-		if (this.isMobile) {
-			const coruscantPlanet = this.planetData.find(p => p.biome === 'coruscant');
+		if (this.isMobile && !restoredFromUrl) {
+			const coruscantPlanet = this.planetStore.getByBiome('coruscant')[0];
 			if (coruscantPlanet) {
 				this.focusOnPlanet(coruscantPlanet.index);
 				console.log('📱 Focus automatique sur Coruscant (mobile)');
@@ -308,10 +628,10 @@ class GalaxyViewer {
 		// Créer des tooltips pour toutes les alwaysVisible
 		this.planetTooltips = new Map();
 
-		for (const [biomeKey, textureConfig] of Object.entries(PLANET_SPECIFIC_TEXTURES)) {
-			if (!textureConfig.alwaysVisible) continue;
+		for (const { key: biomeKey, alwaysVisible } of getBiomes()) {
+			if (!alwaysVisible) continue;
 
-			const planet = this.planetData.find(p => p.biome === biomeKey);
+			const planet = this.planetStore.getByBiome(biomeKey)[0];
 			if (!planet) continue;
 
 			// Créer l'élément tooltip
@@ -379,6 +699,8 @@ class GalaxyViewer {
 				// Mettre à jour la position
 				data.element.style.left = `${x}px`;
 				data.element.style.top = `${tooltipY}px`;
+				data.x = x;
+				data.y = tooltipY;
 
 				// Afficher le tooltip
 				data.element.classList.add('visible');
@@ -415,11 +737,212 @@ class GalaxyViewer {
 		}
 	}
 
+	// ========== LABELS DES PLANÈTES NOTABLES ==========
+
+	async loadNotablePlanets() {
+		try {
+			const response = await fetch('./notable-planets.json');
+			this.notablePlanets = response.ok ? await response.json() : [];
+			console.log(`✅ ${this.notablePlanets.length} planètes notables chargées`);
+		} catch (error) {
+			console.warn('⚠️ Planètes notables indisponibles:', error.message);
+			this.notablePlanets = [];
+		}
+	}
+
+	/**
+	 * Fiches enrichies par nom de système (soleils, lunes, affiliations...), cf. planet-schema.js
+	 */
+	async loadPlanetDetails() {
+		try {
+			const response = await fetch('./planet-details.json');
+			this.planetDetails = response.ok ? await response.json() : {};
+			console.log(`✅ ${Object.keys(this.planetDetails).length} fiches enrichies chargées`);
+		} catch (error) {
+			console.warn('⚠️ Fiches enrichies indisponibles:', error.message);
+			this.planetDetails = {};
+		}
+	}
+
+	/**
+	 * Lignes de la fiche d'une planète (champs de base puis champs enrichis présents)
+	 */
+	getPlanetInfoRows(planet) {
+		return getPlanetInfoRows(planet, this.planetDetails?.[planet.name]);
+	}
+
+	/**
+	 * Un label par planète notable, classé par importance (les alwaysVisible ont déjà leur tooltip)
+	 */
+	setupPlanetLabels() {
+		const container = document.getElementById('planet-labels-container');
+
+		this.planetLabels = this.notablePlanets
+			.map(({ name, importance }) => ({ planet: this.planetStore.getByName(name), importance }))
+			.filter(({ planet }) => planet && !getBiome(planet.biome)?.alwaysVisible)
+			.map(({ planet, importance }, rank) => {
+				const element = document.createElement('div');
+				element.className = 'planet-label';
+				element.textContent = planet.name;
+				element.title = planet.name;
+				element.addEventListener('click', () => this.focusOnPlanet(planet.index));
+				container.appendChild(element);
+
+				return { planet, importance, rank, element, width: 0, height: 0, shown: false, occluded: false };
+			});
+
+		this.labelOcclusionCursor = 0;
+		this.labelRaycaster = new THREE.Raycaster();
+
+		this.measurePlanetLabels();
+		// La largeur des labels change une fois la police Droidobesh chargée
+		document.fonts?.ready.then(() => this.measurePlanetLabels());
+	}
+
+	measurePlanetLabels() {
+		this.planetLabels.forEach(label => {
+			label.width = label.element.offsetWidth;
+			label.height = label.element.offsetHeight;
+		});
+	}
+
+	/**
+	 * Teste l'occultation de quelques labels par frame (à tour de rôle) :
+	 * une autre planète ou un mesh HD entre la caméra et la planète du label
+	 */
+	updateLabelOcclusion() {
+		const checks = Math.min(CONFIG.LABEL_OCCLUSION_CHECKS_PER_FRAME, this.planetLabels.length);
+		const { ray } = this.labelRaycaster;
+
+		for (let i = 0; i < checks; i++) {
+			const label = this.planetLabels[this.labelOcclusionCursor];
+			this.labelOcclusionCursor = (this.labelOcclusionCursor + 1) % this.planetLabels.length;
+
+			ray.origin.copy(this.camera.position);
+			ray.direction.subVectors(label.planet.position, this.camera.position);
+			const distance = ray.direction.length();
+			ray.direction.divideScalar(distance);
+
+			const hit = this.spatialIndex.raycast(ray, {
+				radius: CONFIG.PLANET_SIZE,
+				filter: (index) => index !== label.planet.index && this.planetStore.get(index).visible,
+			});
+			label.occluded = Boolean(hit && hit.distance < distance - CONFIG.PLANET_SIZE);
+
+			if (!label.occluded && this.alwaysVisibleMeshes.size > 0) {
+				this.labelRaycaster.far = distance;
+				label.occluded = [...this.alwaysVisibleMeshes.values()]
+					.some(mesh => this.labelRaycaster.intersectObject(mesh).length > 0);
+			}
+		}
+	}
+
+	/**
+	 * Placement des labels : nombre croissant avec le zoom, par importance décroissante,
+	 * sans chevauchement à l'écran. Les labels hors champ ou occultés s'estompent.
+	 */
+	updatePlanetLabels() {
+		if (!this.planetLabels || this.planetLabels.length === 0) return;
+
+		const zoom = this.camera.position.distanceTo(this.controls.target);
+		const near = CONFIG.SPHERE_RADIUS * 0.3;
+		const far = CONFIG.SPHERE_RADIUS * 3;
+		const t = THREE.MathUtils.clamp((zoom - near) / (far - near), 0, 1);
+		const budget = Math.round(THREE.MathUtils.lerp(this.planetLabels.length, CONFIG.LABEL_MIN_COUNT, t));
+		const enabled = this.selectedPlanetIndex === null;
+
+		this.updateLabelOcclusion();
+
+		// Les tooltips des planètes alwaysVisible occupent déjà leur place
+		const placed = [];
+		this.planetTooltips?.forEach(tooltip => {
+			if (!tooltip.visible || tooltip.x === undefined) return;
+			tooltip.width ||= tooltip.element.offsetWidth;
+			tooltip.height ||= tooltip.element.offsetHeight;
+			placed.push({
+				left: tooltip.x - tooltip.width / 2,
+				right: tooltip.x + tooltip.width / 2,
+				top: tooltip.y - tooltip.height,
+				bottom: tooltip.y,
+			});
+		});
+
+		const overlaps = (a, b) => a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top;
+		const vector = new THREE.Vector3();
+
+		this.planetLabels.forEach(label => {
+			let show = enabled && label.rank < budget && label.planet.visible && !label.occluded;
+
+			if (show) {
+				vector.copy(label.planet.position).project(this.camera);
+				show = vector.z > -1 && vector.z < 1 && Math.abs(vector.x) <= 1 && Math.abs(vector.y) <= 1;
+			}
+
+			if (show) {
+				// Centré au-dessus de la planète
+				const x = (vector.x + 1) * window.innerWidth / 2;
+				const y = -(vector.y - 1) * window.innerHeight / 2 - 6;
+				const rect = {
+					left: x - label.width / 2,
+					right: x + label.width / 2,
+					top: y - label.height,
+					bottom: y,
+				};
+
+				show = !placed.some(other => overlaps(rect, other));
+				if (show) {
+					placed.push(rect);
+					label.element.style.transform = `translate(${rect.left}px, ${rect.top}px)`;
+				}
+			}
+
+			if (show !== label.shown) {
+				label.element.classList.toggle('visible', show);
+				label.shown = show;
+			}
+		});
+	}
+
 
+	/**
+	 * Téléchargement, décodage et placement 3D dans un worker (cf. planets-worker.js)
+	 * Renseigne this.planets et this.planetPositions (Float32Array x, y, z par planète)
+	 */
 	async loadPlanets() {
 		try {
-			const response = await fetch('./planets.json');
-			this.planets = await response.json();
+			const { count, strings, columns, positions } = await new Promise((resolve, reject) => {
+				const worker = new Worker(new URL('./planets-worker.js', import.meta.url), { type: 'module' });
+
+				worker.onmessage = ({ data }) => {
+					if (data.type === 'progress') {
+						this.setLoadingProgress(data.progress * LOADING_DATA_SHARE, LOADING_PHASE_LABELS[data.phase]);
+						return;
+					}
+					worker.terminate();
+					if (data.type === 'done') {
+						resolve(data);
+					} else {
+						reject(new Error(data.message));
+					}
+				};
+				worker.onerror = (event) => {
+					worker.terminate();
+					reject(new Error(event.message));
+				};
+
+				worker.postMessage({
+					urls: ['./planets.bin', './planets.json'],
+					config: {
+						SEED: CONFIG.SEED,
+						GRID_SIZE: CONFIG.GRID_SIZE,
+						GRID_CENTER: CONFIG.GRID_CENTER,
+						SPHERE_RADIUS: CONFIG.SPHERE_RADIUS,
+					},
+				});
+			});
+
+			this.planets = columnsToPlanets({ count, strings, columns });
+			this.planetPositions = positions;
 			console.log(`✅ ${this.planets.length} planètes chargées`);
 			document.getElementById('planet-count').textContent =
 				`Planètes: ${this.planets.length}`;
@@ -428,125 +951,127 @@ class GalaxyViewer {
 		} catch (error) {
 			console.error('❌ Erreur lors du chargement des planètes:', error);
 			this.planets = [];
+			this.planetPositions = new Float32Array(0);
 		}
 	}
 
-	populateSearchDatalist() {
-		const datalist = document.getElementById('planets-list');
-		datalist.innerHTML = '';
-
-		const sortedPlanets = [...this.planets].sort((a, b) =>
-			a.name.localeCompare(b.name)
-		);
+	/**
+	 * Barre de progression de l'écran de chargement
+	 * @param progress Avancement global (0..1)
+	 */
+	setLoadingProgress(progress, label) {
+		document.getElementById('loading-progress').style.width = `${Math.round(progress * 100)}%`;
+		if (label) {
+			document.getElementById('loading-status').textContent = label;
+		}
+	}
 
-		sortedPlanets.forEach(planet => {
-			const option = document.createElement('option');
-			option.value = planet.name;
-			option.textContent = `${planet.name} (${planet.grid}) - ${planet.region}`;
-			datalist.appendChild(option);
-		});
+	async loadHyperlanes() {
+		try {
+			const response = await fetch('./hyperlanes.json');
+			this.hyperlanes = response.ok ? await response.json() : [];
+			console.log(`✅ ${this.hyperlanes.length} hyperlanes chargées`);
+		} catch (error) {
+			console.warn('⚠️ Hyperlanes indisponibles:', error.message);
+			this.hyperlanes = [];
+		}
 	}
 
 	setupSearchEvents() {
 		const searchInput = document.getElementById('planet-search');
 		const clearButton = document.getElementById('clear-search');
 
-		// ← AJOUTER: Variable pour le debounce
-		let searchTimeout = null;
-
-		// ← MODIFIER: Utiliser 'input' avec debounce
-		searchInput.addEventListener('input', (e) => {
-			clearTimeout(searchTimeout);
-			const searchTerm = e.target.value.trim();
-
-			// Attendre 300ms après le dernier caractère tapé
-			searchTimeout = setTimeout(() => {
-				if (searchTerm) {
-					this.searchAndFocusPlanet(searchTerm);
-				}
-			}, 1000);
-		});
-
-		// ← GARDER: 'change' pour les clics dehors ou entrée
-		searchInput.addEventListener('change', (e) => {
-			clearTimeout(searchTimeout);
-			const searchTerm = e.target.value.trim();
-			if (searchTerm) {
-				this.searchAndFocusPlanet(searchTerm);
-			}
+		// Le focus caméra ne se fait que sur sélection explicite d'un résultat
+		this.attachSearchDropdown(searchInput, (result) => {
+			searchInput.value = result.planet.name;
+			searchInput.blur();
+			this.focusOnPlanet(result.index);
 		});
 
 		clearButton.addEventListener('click', () => {
 			searchInput.value = '';
-			clearTimeout(searchTimeout);
 			this.clearPlanetFocus();
 		});
 
 		searchInput.addEventListener('keydown', (e) => {
 			if (e.key === 'Escape') {
 				searchInput.value = '';
-				clearTimeout(searchTimeout);
 				this.clearPlanetFocus();
 				searchInput.blur();
 			}
-			// ← AJOUTER: Entrée pour chercher immédiatement
-			if (e.key === 'Enter') {
-				clearTimeout(searchTimeout);
-				const searchTerm = searchInput.value.trim();
-				if (searchTerm) {
-					this.searchAndFocusPlanet(searchTerm);
-				}
-			}
 		});
 	}
 
-	searchAndFocusPlanet(searchTerm) {
-		const planet = this.planets.find(p =>
-			p.name.toLowerCase() === searchTerm.toLowerCase()
-		);
-
-		if (planet) {
-			// ← Trouver l'index global dans this.planets
-			const globalIndex = this.planets.indexOf(planet);
-			this.focusOnPlanet(globalIndex);
-		}
-	}
-
-
-	gridTo3D(gridX, gridY, depthFactor = Math.random()) {
-		const centerGrid = 11;
-		const scale = CONFIG.SPHERE_RADIUS / (CONFIG.GRID_SIZE / 2);
-
-		const jitter = 0.5;
-		const scaleRandomFactor = 1 + (Math.random() * 0.2 - 0.1);
-
-		const jitteredX = gridX - centerGrid + (Math.random() * 2 - 1) * jitter;
-		const jitteredY = centerGrid - gridY + (Math.random() * 2 - 1) * jitter;
-
-		let x = jitteredX * scale * scaleRandomFactor;
-		let y = jitteredY * scale * scaleRandomFactor;
-
-		const radialDistance = Math.sqrt(x * x + y * y);
+	/**
+	 * Liste de résultats classés sous un champ de saisie (flèches, Entrée, Échap, souris)
+	 * Le champ doit être dans un conteneur .search-anchor. À attacher avant les autres keydown du champ.
+	 */
+	attachSearchDropdown(input, onPick) {
+		const list = document.createElement('div');
+		list.className = 'search-results glass-strong hidden';
+		input.closest('.search-anchor').appendChild(list);
+
+		let results = [];
+		let active = -1;
+
+		const render = () => {
+			list.innerHTML = results.map((result, i) => `
+                <div class="search-result ${i === active ? 'active' : ''}" data-result="${i}">
+                    <div class="flex items-center justify-between gap-2">
+                        <span class="text-white font-medium truncate">${escapeHtml(result.planet.name)}</span>
+                        <span class="text-star-wars flex-shrink-0">${escapeHtml(result.planet.grid)}</span>
+                    </div>
+                    <div class="text-gray-500 font-light truncate">${escapeHtml(result.planet.sector)} · ${escapeHtml(result.planet.region)}</div>
+                </div>
+            `).join('');
+			list.classList.toggle('hidden', results.length === 0);
+			list.querySelector('.search-result.active')?.scrollIntoView({ block: 'nearest' });
+		};
 
-		const zFlattenFactor = 2;
-		const maxRadiusXY = CONFIG.SPHERE_RADIUS;
+		const close = () => {
+			results = [];
+			active = -1;
+			render();
+		};
 
-		const density = Math.exp(-radialDistance / (maxRadiusXY / 2.5));
-		const randomZFactor = 1 + Math.random() * 0.5;
+		const pick = (i) => {
+			const result = results[i];
+			if (!result) return;
+			close();
+			onPick(result);
+		};
 
-		let z = (depthFactor - 0.5) * maxRadiusXY * 2 * zFlattenFactor * density * randomZFactor;
+		input.addEventListener('input', () => {
+			results = this.searchIndex.search(input.value, CONFIG.SEARCH_MAX_RESULTS);
+			active = results.length > 0 ? 0 : -1;
+			render();
+		});
 
-		y *= 1;
+		input.addEventListener('keydown', (e) => {
+			if (results.length === 0) return;
+
+			if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+				e.preventDefault();
+				const step = e.key === 'ArrowDown' ? 1 : -1;
+				active = (active + step + results.length) % results.length;
+				render();
+			} else if (e.key === 'Enter') {
+				e.preventDefault();
+				e.stopImmediatePropagation();
+				pick(active);
+			} else if (e.key === 'Escape') {
+				close();
+			}
+		});
 
-		const maxRadius3D = Math.sqrt(x * x + y * y + z * z);
-		if (maxRadius3D > CONFIG.SPHERE_RADIUS) {
-			const factor = CONFIG.SPHERE_RADIUS / maxRadius3D;
-			x *= factor;
-			y *= factor;
-			z *= factor;
-		}
+		// mousedown plutôt que click : se déclenche avant le blur du champ
+		list.addEventListener('mousedown', (e) => {
+			e.preventDefault();
+			const row = e.target.closest('.search-result');
+			if (row) pick(Number(row.dataset.result));
+		});
 
-		return new THREE.Vector3(x, y, z);
+		input.addEventListener('blur', close);
 	}
 
 	setupScene() {
@@ -611,6 +1136,12 @@ class GalaxyViewer {
 		this.scene.add(directional);
 		this.scene.add(directional.target);
 
+		// Étoile locale de la planète focusée : côté jour des meshes HD
+		this.starLight = new THREE.DirectionalLight(0xfff2dd, 2.5);
+		this.starLight.visible = false;
+		this.scene.add(this.starLight);
+		this.scene.add(this.starLight.target);
+
 		this.createSpotlights();
 	}
 
@@ -685,12 +1216,16 @@ class GalaxyViewer {
 		this.scene.add(this.dustCloud);
 	}
 
-	updateLightingForPlanet(planetPosition) {
+	updateLightingForPlanet(planetPosition, starDirection) {
 		// ← Augmenter drastiquement l'ambient light
 		if (this.ambientLight) {
 			this.ambientLight.intensity = 3.0; // Augmenté de 0.6 à 2.0
 		}
 
+		this.starLight.position.copy(planetPosition).addScaledVector(starDirection, 10);
+		this.starLight.target.position.copy(planetPosition);
+		this.starLight.visible = true;
+
 		this.spotlights.forEach((spotlight) => {
 			const offset = spotlight.userData.originalPosition.clone();
 			const newPos = planetPosition.clone().add(offset);
@@ -713,6 +1248,8 @@ class GalaxyViewer {
 			this.ambientLight.intensity = 0.6; // Back to original
 		}
 
+		this.starLight.visible = false;
+
 		this.spotlights.forEach(spotlight => {
 			spotlight.visible = false;
 		});
@@ -785,8 +1322,6 @@ class GalaxyViewer {
 	}
 
 	createInstancedPlanets() {
-		const planetGeometry = new THREE.SphereGeometry(CONFIG.PLANET_SIZE, 32, 32);
-
 		const material = new THREE.MeshPhongMaterial({
 			color: 0xFFFFFF,
 			shininess: 100,
@@ -795,286 +1330,763 @@ class GalaxyViewer {
 			side: THREE.FrontSide
 		});
 
-		// ← Filtrer les planètes visibles sur mobile
-		const visiblePlanets = this.isMobile
-			? this.planets.filter(p => PLANET_SPECIFIC_TEXTURES[p.biome]?.alwaysVisible)
-			: this.planets;
-
-		console.log(`📱 Mobile: ${this.isMobile ? 'OUI' : 'NON'} - ${visiblePlanets.length}/${this.planets.length} planètes visibles`);
-
-		const instancedMesh = new THREE.InstancedMesh(
-			planetGeometry,
-			material,
-			visiblePlanets.length
-		);
-
-		instancedMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-
-		const gridGroups = {};
-		visiblePlanets.forEach(planet => {
-			if (!gridGroups[planet.grid]) {
-				gridGroups[planet.grid] = [];
-			}
-			gridGroups[planet.grid].push(planet);
-		});
-
-		// Index dans instancedMesh
-		let instanceIndex = 0;
-
 		// ← IMPORTANT: Créer d'abord TOUTES les entrées dans planetData
-		const planetToGlobalIndex = new Map();
+		// Positions calculées par le worker de chargement (cf. galaxy-layout.js)
 		this.planets.forEach((planet, globalIndex) => {
-			const planetsInGrid = gridGroups[planet.grid] || [];
-			let depth = 0.5;
-
-			if (planet.region.includes('Deep Core')) depth = 0.5;
-			else if (planet.region.includes('Core Worlds')) depth = 0.4 + Math.random() * 0.2;
-			else if (planet.region.includes('Colonies')) depth = 0.3 + Math.random() * 0.4;
-			else if (planet.region.includes('Mid Rim')) depth = 0.35 + Math.random() * 0.3;
-			else if (planet.region.includes('Outer Rim')) depth = 0.1 + Math.random() * 0.3;
-			else if (planet.region.includes('Unknown')) depth = Math.random();
-
-			if (planetsInGrid.length > 1) {
-				const indexInGrid = planetsInGrid.indexOf(planet);
-				depth += (indexInGrid / planetsInGrid.length - 0.5) * 0.1;
-				depth = Math.max(0, Math.min(1, depth));
-			}
-
-			const basePosition = this.gridTo3D(planet.x, planet.y, depth);
-			const offset = new THREE.Vector3(
-				(Math.random() - 0.5) * 2,
-				(Math.random() - 0.5) * 2,
-				(Math.random() - 0.5) * 2
-			);
-			const position = basePosition.clone().add(offset);
-
+			const position = new THREE.Vector3().fromArray(this.planetPositions, globalIndex * 3);
+			const random = createSeededRandom(CONFIG.SEED, planet.name, planet.grid, 'pulse');
 			const biomeColor = new THREE.Color(planet.color);
 
 			// Créer l'entrée dans planetData POUR TOUTES les planètes
 			this.planetData.push({
 				...planet,
 				index: globalIndex,
-				instanceIndex: undefined,  // Sera défini plus bas si visible
 				position: position.clone(),
 				originalPosition: position.clone(),
-				pulseSpeed: 0.5 + Math.random() * 0.5,
-				pulseOffset: Math.random() * Math.PI * 2,
+				pulseSpeed: 0.5 + random() * 0.5,
+				pulseOffset: random() * Math.PI * 2,
 				hovered: false,
 				focused: false,
 				biomeColor: biomeColor,
+				// Couleur rendue : biome, ou faction quand la frise des ères est active
+				displayColor: biomeColor.clone(),
 				biome: planet.biome,
-				visible: false,  // Sera mis à true si visible
+				// ← Filtrer les planètes visibles sur mobile
+				visible: !this.isMobile || Boolean(getBiome(planet.biome)?.alwaysVisible),
 			});
 
-			planetToGlobalIndex.set(globalIndex, this.planetData.length - 1);
 			this.planetVelocities.set(globalIndex, new THREE.Vector3());
 		});
 
-		// ← Maintenant ajouter les planètes visibles à l'instancedMesh
-		visiblePlanets.forEach((planet) => {
-			const globalIndex = this.planets.indexOf(planet);
-			const planetDataIndex = planetToGlobalIndex.get(globalIndex);
-			const planetData = this.planetData[planetDataIndex];
-
-			const matrix = new THREE.Matrix4();
-			matrix.setPosition(planetData.position);
-			instancedMesh.setMatrixAt(instanceIndex, matrix);
+		// Toutes les recherches et mutations de planètes passent par le store (cf. planet-store.js)
+		this.planetStore = new PlanetStore(this.planetData);
 
-			instancedMesh.setColorAt(instanceIndex, planetData.biomeColor);
+		const visibleCount = this.planetData.filter(data => data.visible).length;
+		console.log(`📱 Mobile: ${this.isMobile ? 'OUI' : 'NON'} - ${visibleCount}/${this.planets.length} planètes visibles`);
 
-			// ← AJOUTER: Sauvegarder le mapping
-			this.instanceIndexToPlanetIndex.set(instanceIndex, globalIndex);
+		// Chaque planète visible est rendue au niveau de détail adapté à sa distance (cf. planet-lod.js)
+		this.planetLod = new PlanetLOD(this.planetData, {
+			radius: CONFIG.PLANET_SIZE,
+			nearDistance: CONFIG.LOD_NEAR_DISTANCE,
+			farDistance: CONFIG.LOD_FAR_DISTANCE,
+			boundingRadius: CONFIG.SPHERE_RADIUS * 1.2,
+			material,
+		});
+		this.scene.add(this.planetLod.group);
 
-			// ← Mettre à jour planetData
-			planetData.instanceIndex = instanceIndex;
-			planetData.visible = true;
+		// Octree des positions pour le picking et les requêtes de voisinage
+		this.spatialIndex = new SpatialIndex(
+			this.planetData.map(data => data.position),
+			{ halfSize: CONFIG.SPHERE_RADIUS * 1.5 }
+		);
 
-			instanceIndex++;
+		this.planetStore.addEventListener('positionchange', ({ detail }) => {
+			detail.ids.forEach(id => this.spatialIndex.update(id));
+			this.planetLod.invalidate();
 		});
+		this.planetStore.addEventListener('visibilitychange', () => this.planetLod.invalidate());
 
-		instancedMesh.instanceMatrix.needsUpdate = true;
-		this.instancedMesh = instancedMesh;
-		this.scene.add(instancedMesh);
-
-		this.createRegionalClouds();
+		this.createRegionVolumes();
 
-		console.log(`✨ ${visiblePlanets.length} planètes créées (${this.isMobile ? 'mobile' : 'desktop'})`);
+		console.log(`✨ ${visibleCount} planètes créées (${this.isMobile ? 'mobile' : 'desktop'})`);
 	}
 
-	generateCloudParticleTexture() {
-		const canvas = document.createElement('canvas');
-		canvas.width = 64;
-		canvas.height = 64;
-		const ctx = canvas.getContext('2d');
-
-		ctx.clearRect(0, 0, 64, 64);
+	createHyperlanes() {
+		this.hyperlanesGroup = new THREE.Group();
+		this.hyperlaneLines = [];
 
-		const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
-		gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-		gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.3)');
-		gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+		this.hyperlanes.forEach(lane => {
+			const stops = lane.systems
+				.map(name => this.planetStore.getByName(name))
+				.filter(Boolean);
 
-		ctx.fillStyle = gradient;
-		ctx.beginPath();
-		ctx.arc(32, 32, 32, 0, Math.PI * 2);
-		ctx.fill();
+			if (stops.length < 2) return;
 
-		const texture = new THREE.CanvasTexture(canvas);
-		texture.magFilter = THREE.LinearFilter;
-		texture.minFilter = THREE.LinearFilter;
-		return texture;
-	}
+			const geometry = new THREE.BufferGeometry().setFromPoints(
+				stops.map(stop => stop.position)
+			);
+			const material = new THREE.LineBasicMaterial({
+				color: new THREE.Color(lane.color || '#FFE81F'),
+				transparent: true,
+				opacity: 0.6,
+				blending: THREE.AdditiveBlending,
+				depthWrite: false,
+				fog: false,
+			});
 
-	createRegionalClouds() {
-		const regionGroups = {};
-		this.planetData.forEach(planet => {
-			const region = planet.region;
-			if (!regionGroups[region]) {
-				regionGroups[region] = [];
-			}
-			regionGroups[region].push(planet);
+			const line = new THREE.Line(geometry, material);
+			this.hyperlanesGroup.add(line);
+			this.hyperlaneLines.push({ lane, stops, line });
 		});
 
-		Object.entries(regionGroups).forEach(([regionName, planets]) => {
-			if (planets.length === 0) return;
-
-			const regionColor = planets[0].regionColor;
-			this.createRegionalCloud(regionName, planets, regionColor);
-		});
+		this.scene.add(this.hyperlanesGroup);
+		this.setupHyperlanesLegend();
 
-		console.log(`☁️ ${Object.keys(regionGroups).length} nuages régionaux créés`);
+		console.log(`🛣️ ${this.hyperlaneLines.length} hyperlanes tracées`);
 	}
 
-	createRegionalCloud(regionName, planets, colorHex) {
-		const cloudGeometry = new THREE.BufferGeometry();
-		const positions = [];
-		const colors = [];
-		const baseOffsets = [];
+	/**
+	 * Les lignes suivent les planètes (repulsion autour de la planète focusée)
+	 */
+	updateHyperlanes() {
+		if (!this.hyperlanesGroup?.visible) return;
+
+		this.hyperlaneLines.forEach(({ stops, line }) => {
+			const positions = line.geometry.attributes.position;
+			stops.forEach((stop, i) => {
+				positions.setXYZ(i, stop.position.x, stop.position.y, stop.position.z);
+			});
+			positions.needsUpdate = true;
+		});
+	}
 
-		const color = new THREE.Color(colorHex);
+	setupHyperlanesLegend() {
+		const legend = document.getElementById('hyperlanes-legend');
+		const toggle = document.getElementById('toggle-hyperlanes');
+		const state = document.getElementById('hyperlanes-state');
 
-		planets.forEach(planet => {
-			for (let i = 0; i < 30; i++) {
-				const theta = Math.random() * Math.PI * 2;
-				const phi = Math.acos(2 * Math.random() - 1);
-				const radius = CONFIG.PLANET_SIZE * (0.2 + Math.random() * 0.1);
+		legend.innerHTML = this.hyperlaneLines.map(({ lane }) => `
+            <div class="flex items-center gap-2 text-xs text-gray-400">
+                <div class="w-3 h-0.5 rounded-full" style="background: ${escapeHtml(lane.color || '#FFE81F')};"></div>
+                <span class="font-light">${escapeHtml(lane.name)}</span>
+            </div>
+        `).join('');
 
-				const offsetX = radius * Math.sin(phi) * Math.cos(theta);
-				const offsetY = radius * Math.sin(phi) * Math.sin(theta);
-				const offsetZ = radius * Math.cos(phi);
+		toggle.addEventListener('click', () => {
+			this.hyperlanesGroup.visible = !this.hyperlanesGroup.visible;
+			state.textContent = this.hyperlanesGroup.visible ? 'ON' : 'OFF';
+			legend.classList.toggle('opacity-40', !this.hyperlanesGroup.visible);
+		});
+	}
 
-				baseOffsets.push({ x: offsetX, y: offsetY, z: offsetZ });
+	// ========== GRILLE GALACTIQUE ==========
+	// Cases du CSV (ex: "M-10") projetées sur le plan galactique z = 0, même repère que gridTo3D
+
+	createGridOverlay() {
+		const size = CONFIG.SPHERE_RADIUS / (CONFIG.GRID_SIZE / 2);
+		const center = CONFIG.GRID_CENTER;
+		const xs = this.planets.map(p => p.x);
+		const ys = this.planets.map(p => p.y);
+		const bounds = {
+			minX: Math.min(...xs),
+			maxX: Math.max(...xs),
+			minY: Math.min(...ys),
+			maxY: Math.max(...ys),
+		};
 
-				positions.push(
-					planet.position.x + offsetX,
-					planet.position.y + offsetY,
-					planet.position.z + offsetZ
-				);
+		const left = (bounds.minX - 0.5 - center) * size;
+		const right = (bounds.maxX + 0.5 - center) * size;
+		const top = (center - bounds.minY + 0.5) * size;
+		const bottom = (center - bounds.maxY - 0.5) * size;
 
-				const alpha = Math.random() * 0.6 + 0.3;
-				colors.push(color.r, color.g, color.b, alpha);
-			}
-		});
+		const group = new THREE.Group();
+		group.visible = false;
 
-		cloudGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-		cloudGeometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(colors), 4));
+		// Lignes de la grille
+		const vertices = [];
+		for (let gx = bounds.minX; gx <= bounds.maxX + 1; gx++) {
+			const x = (gx - 0.5 - center) * size;
+			vertices.push(x, top, 0, x, bottom, 0);
+		}
+		for (let gy = bounds.minY; gy <= bounds.maxY + 1; gy++) {
+			const y = (center - gy + 0.5) * size;
+			vertices.push(left, y, 0, right, y, 0);
+		}
 
-		const cloudMaterial = new THREE.PointsMaterial({
-			map: this.generateCloudParticleTexture(),
-			size: 3,
-			vertexColors: true,
+		const linesGeo = new THREE.BufferGeometry();
+		linesGeo.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+		const linesMat = new THREE.LineBasicMaterial({
+			color: 0xFFE81F,
 			transparent: true,
 			opacity: 0.15,
-			sizeAttenuation: true,
-			fog: false,
 			depthWrite: false,
+			fog: false,
 		});
+		group.add(new THREE.LineSegments(linesGeo, linesMat));
+
+		// Lettres (haut/bas) et numéros (gauche/droite)
+		for (let gx = bounds.minX; gx <= bounds.maxX; gx++) {
+			const x = (gx - center) * size;
+			const letter = String.fromCharCode(64 + gx);
+			group.add(this.createGridLabel(letter, x, top + size * 0.5, size));
+			group.add(this.createGridLabel(letter, x, bottom - size * 0.5, size));
+		}
+		for (let gy = bounds.minY; gy <= bounds.maxY; gy++) {
+			const y = (center - gy) * size;
+			group.add(this.createGridLabel(String(gy), left - size * 0.5, y, size));
+			group.add(this.createGridLabel(String(gy), right + size * 0.5, y, size));
+		}
+
+		// Case survolée
+		const highlight = new THREE.Mesh(
+			new THREE.PlaneGeometry(size, size),
+			new THREE.MeshBasicMaterial({
+				color: 0xFFE81F,
+				transparent: true,
+				opacity: 0.12,
+				depthWrite: false,
+				side: THREE.DoubleSide,
+				fog: false,
+			})
+		);
+		highlight.visible = false;
+		group.add(highlight);
+
+		this.scene.add(group);
+
+		this.gridOverlay = { group, highlight, bounds, size, plane: new THREE.Plane(new THREE.Vector3(0, 0, 1), 0) };
+		this.hoveredGridCell = null;
+
+		const toggle = document.getElementById('toggle-grid');
+		toggle.addEventListener('click', () => {
+			group.visible = !group.visible;
+			document.getElementById('grid-state').textContent = group.visible ? 'ON' : 'OFF';
+			if (!group.visible) this.setHoveredGridCell(null);
+		});
+	}
+
+	createGridLabel(text, x, y, cellSize) {
+		const canvas = document.createElement('canvas');
+		canvas.width = 128;
+		canvas.height = 64;
+		const ctx = canvas.getContext('2d');
+
+		ctx.font = 'bold 40px Orbitron, sans-serif';
+		ctx.fillStyle = '#FFE81F';
+		ctx.textAlign = 'center';
+		ctx.textBaseline = 'middle';
+		ctx.fillText(text, 64, 32);
 
-		const cloud = new THREE.Points(cloudGeometry, cloudMaterial);
-		this.scene.add(cloud);
-
-		if (!this.regionalClouds) {
-			this.regionalClouds = [];
+		const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+			map: new THREE.CanvasTexture(canvas),
+			transparent: true,
+			opacity: 0.6,
+			depthWrite: false,
+			fog: false,
+		}));
+		sprite.position.set(x, y, 0);
+		sprite.scale.set(cellSize * 0.8, cellSize * 0.4, 1);
+		return sprite;
+	}
+
+	/**
+	 * Case sous le curseur (intersection du rayon avec le plan galactique)
+	 */
+	updateGridHover() {
+		if (!this.gridOverlay?.group.visible) return;
+
+		const { bounds, size, plane } = this.gridOverlay;
+		const point = this.raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+		let cell = null;
+
+		if (point) {
+			const gx = Math.round(point.x / size + CONFIG.GRID_CENTER);
+			const gy = Math.round(CONFIG.GRID_CENTER - point.y / size);
+
+			if (gx >= bounds.minX && gx <= bounds.maxX && gy >= bounds.minY && gy <= bounds.maxY) {
+				cell = `${String.fromCharCode(64 + gx)}-${gy}`;
+			}
 		}
 
-		this.regionalClouds.push({
-			mesh: cloud,
-			regionName,
-			planets,
-			geometry: cloudGeometry,
-			colorHex,
-			baseOffsets,
-			driftOffsets: planets.flatMap(() =>
-				Array(30).fill(0).map(() => ({
-					x: (Math.random() - 0.5) * 1.5,
-					y: (Math.random() - 0.5) * 1.5,
-					z: (Math.random() - 0.5) * 1.5,
-					vx: (Math.random() - 0.5) * 0.01,
-					vy: (Math.random() - 0.5) * 0.01,
-					vz: (Math.random() - 0.5) * 0.01,
-				}))
-			),
+		this.setHoveredGridCell(cell);
+	}
+
+	setHoveredGridCell(cell) {
+		if (cell === this.hoveredGridCell) return;
+		this.hoveredGridCell = cell;
+
+		const { highlight, size } = this.gridOverlay;
+		const panel = document.getElementById('grid-cell-info');
+
+		if (!cell) {
+			highlight.visible = false;
+			panel.classList.add('hidden');
+			return;
+		}
+
+		const [letter, number] = cell.split('-');
+		highlight.position.set(
+			(letter.charCodeAt(0) - 64 - CONFIG.GRID_CENTER) * size,
+			(CONFIG.GRID_CENTER - Number(number)) * size,
+			0
+		);
+		highlight.visible = true;
+
+		const planets = this.planetStore.getByGrid(cell).filter(p => !p.filteredOut);
+		const shown = planets.slice(0, 15);
+
+		panel.innerHTML = `
+            <div class="flex items-center justify-between mb-2">
+                <span class="text-xs font-bold text-star-wars tracking-widest">CASE ${cell}</span>
+                <span class="text-xs text-gray-500">${planets.length} planètes</span>
+            </div>
+            <div class="space-y-0.5 text-xs">
+                ${shown.map(p => `
+                    <div class="flex items-center justify-between gap-2">
+                        <span class="text-white truncate">${escapeHtml(p.name)}</span>
+                        <span class="text-gray-500 font-light truncate">${escapeHtml(p.sector)}</span>
+                    </div>
+                `).join('')}
+                ${planets.length > shown.length ? `<div class="text-gray-600 font-light">… et ${planets.length - shown.length} autres</div>` : ''}
+            </div>
+        `;
+		panel.classList.remove('hidden');
+	}
+
+	// ========== SECTEURS ==========
+	// Un secteur peut apparaître à plusieurs endroits : ses planètes sont regroupées en clusters
+	// spatiaux, chacun avec une enveloppe convexe (plan galactique) et un label au centroïde.
+
+	createSectors() {
+		const threshold = CONFIG.SECTOR_CLUSTER_DISTANCE * CONFIG.SPHERE_RADIUS / (CONFIG.GRID_SIZE / 2);
+		const bySector = {};
+
+		this.planetData.forEach(planet => {
+			if (planet.sector === 'Unknown') return;
+			if (!bySector[planet.sector]) {
+				bySector[planet.sector] = [];
+			}
+			bySector[planet.sector].push(planet);
+		});
+
+		this.sectorClusters = [];
+		this.sectorsGroup = new THREE.Group();
+
+		Object.entries(bySector).forEach(([sector, planets]) => {
+			this.clusterPlanets(planets, threshold).forEach(members => {
+				if (members.length < CONFIG.SECTOR_MIN_PLANETS) return;
+
+				const centroid = new THREE.Vector3();
+				members.forEach(p => centroid.add(p.originalPosition));
+				centroid.divideScalar(members.length);
+
+				const outline = this.createSectorOutline(members, centroid);
+				if (outline) this.sectorsGroup.add(outline);
+
+				this.sectorClusters.push({ sector, planets: members, centroid, outline, filteredOut: false });
+			});
+		});
+
+		// Les plus gros secteurs apparaissent en premier quand on zoome
+		this.sectorClusters.sort((a, b) => b.planets.length - a.planets.length);
+		this.sectorClusters.forEach((cluster, rank) => {
+			cluster.rank = rank;
 		});
+
+		this.scene.add(this.sectorsGroup);
+		this.setupSectorLabels();
+
+		console.log(`🧭 ${this.sectorClusters.length} secteurs délimités`);
 	}
 
-	updateRegionalClouds() {
-		if (!this.regionalClouds) return;
+	/**
+	 * Regroupement par lien simple : union-find sur les paires plus proches que threshold
+	 */
+	clusterPlanets(planets, threshold) {
+		const parent = planets.map((_, i) => i);
+		const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+		for (let i = 0; i < planets.length; i++) {
+			for (let j = i + 1; j < planets.length; j++) {
+				if (planets[i].originalPosition.distanceTo(planets[j].originalPosition) < threshold) {
+					parent[find(i)] = find(j);
+				}
+			}
+		}
 
-		this.regionalClouds.forEach(cloudData => {
-			const positions = [];
-			const oldPositions = cloudData.geometry.attributes.position?.array;
+		const clusters = new Map();
+		planets.forEach((planet, i) => {
+			const root = find(i);
+			if (!clusters.has(root)) clusters.set(root, []);
+			clusters.get(root).push(planet);
+		});
 
-			cloudData.driftOffsets.forEach(drift => {
-				drift.x += drift.vx;
-				drift.y += drift.vy;
-				drift.z += drift.vz;
+		return [...clusters.values()];
+	}
 
-				if (Math.abs(drift.x) > 1.5) drift.vx *= -1;
-				if (Math.abs(drift.y) > 1.5) drift.vy *= -1;
-				if (Math.abs(drift.z) > 1.5) drift.vz *= -1;
+	/**
+	 * Enveloppe convexe 2D (monotone chain) des planètes, à la profondeur moyenne du cluster
+	 */
+	createSectorOutline(planets, centroid) {
+		const points = planets
+			.map(p => new THREE.Vector2(p.originalPosition.x, p.originalPosition.y))
+			.sort((a, b) => a.x - b.x || a.y - b.y);
+
+		const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+		const halfHull = (list) => {
+			const hull = [];
+			list.forEach(point => {
+				while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) {
+					hull.pop();
+				}
+				hull.push(point);
 			});
+			hull.pop();
+			return hull;
+		};
+
+		const hull = [...halfHull(points), ...halfHull([...points].reverse())];
+		if (hull.length < 3) return null;
+
+		// Marge autour des planètes en bordure
+		const margin = CONFIG.PLANET_SIZE * 4;
+		const vertices = hull.map(point => {
+			const offset = point.clone().sub(new THREE.Vector2(centroid.x, centroid.y));
+			const length = offset.length();
+			if (length > 0) offset.multiplyScalar((length + margin) / length);
+			return new THREE.Vector3(centroid.x + offset.x, centroid.y + offset.y, centroid.z);
+		});
 
-			cloudData.planets.forEach((planet, planetIndex) => {
-				for (let i = 0; i < 30; i++) {
-					const pointIndex = planetIndex * 30 + i;
-					const baseOffset = cloudData.baseOffsets[pointIndex];
-					const drift = cloudData.driftOffsets[pointIndex];
+		return new THREE.LineLoop(
+			new THREE.BufferGeometry().setFromPoints(vertices),
+			new THREE.LineBasicMaterial({
+				color: new THREE.Color(planets[0].regionColor),
+				transparent: true,
+				opacity: 0.25,
+				depthWrite: false,
+				fog: false,
+			})
+		);
+	}
 
-					if (!baseOffset || !drift) continue;
+	setupSectorLabels() {
+		const container = document.getElementById('sector-labels-container');
+		this.sectorsVisible = true;
 
-					const newX = planet.position.x + baseOffset.x + drift.x;
-					const newY = planet.position.y + baseOffset.y + drift.y;
-					const newZ = planet.position.z + baseOffset.z + drift.z;
+		this.sectorClusters.forEach(cluster => {
+			const label = document.createElement('div');
+			label.className = 'sector-label';
+			label.textContent = cluster.sector;
+			label.title = `${cluster.sector} - ${cluster.planets.length} planètes`;
+			label.addEventListener('click', () => this.frameSector(cluster));
 
-					if (oldPositions && pointIndex * 3 < oldPositions.length) {
-						const oldX = oldPositions[pointIndex * 3];
-						const oldY = oldPositions[pointIndex * 3 + 1];
-						const oldZ = oldPositions[pointIndex * 3 + 2];
+			container.appendChild(label);
+			cluster.label = label;
+			cluster.labelVisible = false;
+		});
 
-						positions.push(
-							oldX * 0.5 + newX * 0.5,
-							oldY * 0.5 + newY * 0.5,
-							oldZ * 0.5 + newZ * 0.5
-						);
-					} else {
-						positions.push(newX, newY, newZ);
-					}
+		document.getElementById('toggle-sectors').addEventListener('click', () => {
+			this.sectorsVisible = !this.sectorsVisible;
+			this.sectorsGroup.visible = this.sectorsVisible;
+			document.getElementById('sectors-state').textContent = this.sectorsVisible ? 'ON' : 'OFF';
+		});
+	}
+
+	/**
+	 * LOD des labels : plus la caméra est proche, plus de secteurs (par taille) sont affichés
+	 */
+	updateSectorLabels() {
+		if (!this.sectorClusters) return;
+
+		const zoom = this.camera.position.distanceTo(this.controls.target);
+		const near = CONFIG.SPHERE_RADIUS * 0.5;
+		const far = CONFIG.SPHERE_RADIUS * 3;
+		const t = THREE.MathUtils.clamp((zoom - near) / (far - near), 0, 1);
+		const maxRank = Math.round(THREE.MathUtils.lerp(this.sectorClusters.length, 12, t));
+		const showAll = this.sectorsVisible && this.selectedPlanetIndex === null;
+		const vector = new THREE.Vector3();
+
+		this.sectorClusters.forEach(cluster => {
+			let visible = showAll && !cluster.filteredOut && cluster.rank < maxRank;
+
+			if (visible) {
+				vector.copy(cluster.centroid).project(this.camera);
+				visible = vector.z < 1 && vector.z > -1;
+			}
+
+			if (cluster.outline) cluster.outline.visible = visible;
+
+			if (visible) {
+				cluster.label.style.left = `${(vector.x + 1) * window.innerWidth / 2}px`;
+				cluster.label.style.top = `${-(vector.y - 1) * window.innerHeight / 2}px`;
+			}
+
+			if (visible !== cluster.labelVisible) {
+				cluster.label.classList.toggle('visible', visible);
+				cluster.labelVisible = visible;
+			}
+		});
+	}
+
+	/**
+	 * Cadre la caméra sur toutes les planètes d'un cluster de secteur
+	 */
+	frameSector(cluster) {
+		if (this.selectedPlanetIndex !== null) {
+			this.clearPlanetFocus();
+		}
+
+		const sphere = new THREE.Sphere().setFromPoints(cluster.planets.map(p => p.originalPosition));
+		const fov = THREE.MathUtils.degToRad(this.camera.fov);
+		const distance = Math.max(
+			this.controls.minDistance,
+			(sphere.radius + CONFIG.PLANET_SIZE * 4) / Math.sin(fov / 2) * 1.2
+		);
+
+		const direction = this.camera.position.clone().sub(this.controls.target).normalize();
+		const cameraPosition = sphere.center.clone().add(direction.multiplyScalar(distance));
+
+		this.animateCameraTo(sphere.center, cameraPosition);
+	}
+
+	// ========== FILTRES ==========
+
+	setupFilters() {
+		const sectorSelect = document.getElementById('filter-sectors');
+		const biomeSelect = document.getElementById('filter-biomes');
+		const regionToggles = document.querySelectorAll('#region-legend .region-toggle');
+
+		const fillOptions = (select, key) => {
+			const counts = {};
+			this.planets.forEach(p => {
+				counts[p[key]] = (counts[p[key]] || 0) + 1;
+			});
+
+			select.replaceChildren(...Object.entries(counts)
+				.sort((a, b) => a[0].localeCompare(b[0]))
+				.map(([value, count]) => new Option(`${value} (${count})`, value)));
+		};
+
+		fillOptions(sectorSelect, 'sector');
+		fillOptions(biomeSelect, 'biome');
+
+		regionToggles.forEach(toggle => {
+			toggle.addEventListener('click', () => {
+				const region = toggle.dataset.region;
+				if (this.filters.hiddenRegions.has(region)) {
+					this.filters.hiddenRegions.delete(region);
+				} else {
+					this.filters.hiddenRegions.add(region);
 				}
+				this.applyFilters();
+			});
+		});
+
+		sectorSelect.addEventListener('change', () => {
+			this.filters.sectors = new Set([...sectorSelect.selectedOptions].map(o => o.value));
+			this.applyFilters();
+		});
+
+		biomeSelect.addEventListener('change', () => {
+			this.filters.biomes = new Set([...biomeSelect.selectedOptions].map(o => o.value));
+			this.applyFilters();
+		});
+
+		document.getElementById('reset-filters').addEventListener('click', () => {
+			this.filters.hiddenRegions.clear();
+			this.filters.sectors.clear();
+			this.filters.biomes.clear();
+			this.applyFilters();
+		});
+
+		this.applyFilters();
+	}
+
+	planetMatchesFilters(planet) {
+		const { hiddenRegions, sectors, biomes } = this.filters;
+
+		for (const region of hiddenRegions) {
+			if (planet.region.includes(region)) return false;
+		}
+		if (sectors.size > 0 && !sectors.has(planet.sector)) return false;
+		if (biomes.size > 0 && !biomes.has(planet.biome)) return false;
+
+		return true;
+	}
+
+	/**
+	 * Met à jour la visibilité des planètes (sans reconstruire la scène)
+	 * Les planètes masquées sortent du rendu et du picking au prochain tri des niveaux de détail.
+	 */
+	applyFilters() {
+		let visibleCount = 0;
+
+		this.planetStore.batch(() => {
+			this.planetData.forEach(data => {
+				const available = !this.isMobile || getBiome(data.biome)?.alwaysVisible;
+				const filteredOut = !this.planetMatchesFilters(data);
+				const visible = Boolean(available) && !filteredOut;
+				this.planetStore.setVisibility(data.index, { visible, filteredOut });
+				if (visible) visibleCount++;
 			});
+		});
 
-			cloudData.geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(positions), 3));
-			cloudData.geometry.attributes.position.needsUpdate = true;
+		this.regionVolumes.forEach(volume => this.updateRegionVolume(volume));
+		this.sectorClusters?.forEach(cluster => {
+			cluster.filteredOut = cluster.planets.every(p => p.filteredOut);
+		});
+		this.updateFiltersUI(visibleCount);
+		if (this.eraFactions) {
+			this.renderEraLegend();
+		}
+		this.writeUrlState('replace');
+	}
+
+	updateFiltersUI(visibleCount) {
+		const label = `Planètes: ${visibleCount} / ${this.planets.length}`;
+		document.getElementById('planet-count').textContent = label;
+		document.getElementById('planet-count-mobile').textContent = label;
+
+		document.querySelectorAll('#region-legend .region-toggle').forEach(toggle => {
+			toggle.classList.toggle('off', this.filters.hiddenRegions.has(toggle.dataset.region));
+		});
+
+		[['filter-sectors', this.filters.sectors], ['filter-biomes', this.filters.biomes]].forEach(([id, selected]) => {
+			[...document.getElementById(id).options].forEach(option => {
+				option.selected = selected.has(option.value);
+			});
+		});
+	}
+
+	generateCloudParticleTexture() {
+		const canvas = document.createElement('canvas');
+		canvas.width = 64;
+		canvas.height = 64;
+		const ctx = canvas.getContext('2d');
+
+		ctx.clearRect(0, 0, 64, 64);
+
+		const gradient = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
+		gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+		gradient.addColorStop(0.5, 'rgba(255, 255, 255, 0.3)');
+		gradient.addColorStop(1, 'rgba(255, 255, 255, 0)');
+
+		ctx.fillStyle = gradient;
+		ctx.beginPath();
+		ctx.arc(32, 32, 32, 0, Math.PI * 2);
+		ctx.fill();
+
+		const texture = new THREE.CanvasTexture(canvas);
+		texture.magFilter = THREE.LinearFilter;
+		texture.minFilter = THREE.LinearFilter;
+		return texture;
+	}
+
+	// ========== TERRITOIRES RÉGIONAUX ==========
+	// Un volume par région : champ de densité (gaussiennes centrées sur ses planètes)
+	// dont l'isosurface est extraite une seule fois par marching cubes.
+	// Rien n'est recalculé par frame ; seulement quand les filtres changent la région.
+
+	createRegionVolumes() {
+		const regionGroups = {};
+		this.planetData.forEach(planet => {
+			if (!regionGroups[planet.region]) {
+				regionGroups[planet.region] = [];
+			}
+			regionGroups[planet.region].push(planet);
+		});
+
+		this.regionVolumes = Object.entries(regionGroups).map(([regionName, planets]) => {
+			const mesh = new MarchingCubes(
+				CONFIG.REGION_VOLUME_RESOLUTION,
+				this.createRegionVolumeMaterial(planets[0].regionColor),
+				false,
+				false,
+				30000
+			);
+			mesh.isolation = 0.5;
+			// Le champ couvre [-1, 1] en local : englober toute la sphère galactique
+			mesh.scale.setScalar(CONFIG.SPHERE_RADIUS * 1.15);
+			this.scene.add(mesh);
+
+			const volume = { mesh, regionName, planets, signature: null };
+			this.updateRegionVolume(volume);
+			return volume;
+		});
+
+		console.log(`☁️ ${this.regionVolumes.length} territoires régionaux créés`);
+	}
+
+	/**
+	 * Shell translucide : plus opaque sur les bords (fresnel), comme les bandes de la carte canonique
+	 */
+	createRegionVolumeMaterial(colorHex) {
+		return new THREE.ShaderMaterial({
+			uniforms: {
+				color: { value: new THREE.Color(colorHex) },
+				opacity: { value: 0.1 },
+			},
+			vertexShader: `
+				varying vec3 vNormal;
+				varying vec3 vViewDir;
+
+				void main() {
+					vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+					vNormal = normalize(normalMatrix * normal);
+					vViewDir = normalize(-mvPosition.xyz);
+					gl_Position = projectionMatrix * mvPosition;
+				}
+			`,
+			fragmentShader: `
+				uniform vec3 color;
+				uniform float opacity;
+				varying vec3 vNormal;
+				varying vec3 vViewDir;
+
+				void main() {
+					float rim = 1.0 - abs(dot(normalize(vNormal), normalize(vViewDir)));
+					gl_FragColor = vec4(color, opacity * (0.3 + 0.7 * pow(rim, 2.0)));
+				}
+			`,
+			transparent: true,
+			depthWrite: false,
+			side: THREE.DoubleSide,
+			blending: THREE.AdditiveBlending,
 		});
 	}
 
+	/**
+	 * Recalcule l'isosurface d'une région à partir de ses planètes non filtrées
+	 */
+	updateRegionVolume(volume) {
+		// Un drapeau par planète de la région : deux filtres différents ne donnent jamais la même clé
+		const signature = volume.planets.map(p => p.filteredOut ? '0' : '1').join('');
+		if (signature === volume.signature) return;
+		volume.signature = signature;
+		const planets = volume.planets.filter(p => !p.filteredOut);
+
+		const { mesh } = volume;
+		const { size, size2, field } = mesh;
+		const half = size / 2;
+		const extent = mesh.scale.x;
+		const radius = 3;
+		const sigma2 = 2 * 1.5 * 1.5;
+
+		mesh.reset();
+
+		planets.forEach(planet => {
+			const pos = planet.originalPosition;
+			const cx = (pos.x / extent + 1) * half;
+			const cy = (pos.y / extent + 1) * half;
+			const cz = (pos.z / extent + 1) * half;
+
+			const zMax = Math.min(size - 2, Math.ceil(cz + radius));
+			const yMax = Math.min(size - 2, Math.ceil(cy + radius));
+			const xMax = Math.min(size - 2, Math.ceil(cx + radius));
+
+			for (let z = Math.max(1, Math.floor(cz - radius)); z <= zMax; z++) {
+				for (let y = Math.max(1, Math.floor(cy - radius)); y <= yMax; y++) {
+					for (let x = Math.max(1, Math.floor(cx - radius)); x <= xMax; x++) {
+						const d2 = (x - cx) ** 2 + (y - cy) ** 2 + (z - cz) ** 2;
+						if (d2 <= radius * radius) {
+							field[size2 * z + size * y + x] += Math.exp(-d2 / sigma2);
+						}
+					}
+				}
+			}
+		});
+
+		mesh.update();
+	}
+
 	applyRepulsionForces() {
 		if (this.selectedPlanetIndex === null) return;
 
-		const selectedData = this.planetData[this.selectedPlanetIndex];
-		const selectedPos = selectedData.position;
-		const { radius, strength, dampingFactor } = this.REPULSION_CONFIG;
+		const selectedPos = this.planetStore.getFocused().position;
+		const { radius, strength } = this.REPULSION_CONFIG;
 
-		this.planetData.forEach((data, index) => {
+		this.planetData.forEach((data) => {
+			const index = data.index;
 			if (index === this.selectedPlanetIndex) return;
 
 			const distance = data.position.distanceTo(selectedPos);
@@ -1102,6 +2114,7 @@ class GalaxyViewer {
 		const startPositions = new Map(
 			this.planetData.map(data => [data.index, data.position.clone()])
 		);
+		const position = new THREE.Vector3();
 
 		const animate = () => {
 			const elapsed = (Date.now() - startTime) / 1000;
@@ -1109,24 +2122,19 @@ class GalaxyViewer {
 
 			const eased = 1 - Math.pow(1 - progress, 3);
 
-			this.planetData.forEach(data => {
-				const startPos = startPositions.get(data.index);
-				const targetPos = data.originalPosition;
-
-				data.position.lerpVectors(startPos, targetPos, eased);
-
-				const matrix = new THREE.Matrix4();
-				matrix.setPosition(data.position);
-				this.instancedMesh.setMatrixAt(data.index, matrix);
+			this.planetStore.batch(() => {
+				this.planetData.forEach(data => {
+					const startPos = startPositions.get(data.index);
+					position.lerpVectors(startPos, data.originalPosition, eased);
+					this.planetStore.setPosition(data.index, position);
 
-				const velocity = this.planetVelocities.get(data.index);
-				if (velocity) {
-					velocity.multiplyScalar(1 - progress);
-				}
+					const velocity = this.planetVelocities.get(data.index);
+					if (velocity) {
+						velocity.multiplyScalar(1 - progress);
+					}
+				});
 			});
 
-			this.instancedMesh.instanceMatrix.needsUpdate = true;
-
 			if (progress < 1) {
 				requestAnimationFrame(animate);
 			}
@@ -1138,19 +2146,15 @@ class GalaxyViewer {
 	updatePlanetVelocities() {
 		const { dampingFactor } = this.REPULSION_CONFIG;
 
-		this.planetData.forEach(data => {
-			const velocity = this.planetVelocities.get(data.index);
-			if (velocity && velocity.length() > 0) {
-				data.position.add(velocity);
-				velocity.multiplyScalar(dampingFactor);
-
-				const matrix = new THREE.Matrix4();
-				matrix.setPosition(data.position);
-				this.instancedMesh.setMatrixAt(data.index, matrix);
-			}
+		this.planetStore.batch(() => {
+			this.planetData.forEach(data => {
+				const velocity = this.planetVelocities.get(data.index);
+				if (velocity && velocity.length() > 0) {
+					this.planetStore.translate(data.index, velocity);
+					velocity.multiplyScalar(dampingFactor);
+				}
+			});
 		});
-
-		this.instancedMesh.instanceMatrix.needsUpdate = true;
 	}
 
 	setupEvents() {
@@ -1165,32 +2169,58 @@ class GalaxyViewer {
 		this.renderer.setSize(window.innerWidth, window.innerHeight);
 	}
 
+	/**
+	 * Planète visible sous le curseur (raycaster déjà positionné), via l'octree
+	 * Marge en pixels constante pour que les sprites lointains restent cliquables.
+	 * @returns {number | null} index de la planète
+	 */
+	pickPlanet() {
+		if (!this.planetLod.group.visible) return null;
+
+		const pixelsPerUnit = window.innerHeight / (2 * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2));
+		const hit = this.spatialIndex.raycast(this.raycaster.ray, {
+			radius: CONFIG.PLANET_SIZE,
+			tolerance: CONFIG.PICK_TOLERANCE_PIXELS / pixelsPerUnit,
+			filter: (index) => this.planetStore.get(index).visible,
+		});
+
+		return hit ? hit.index : null;
+	}
+
 	onMouseMove(event) {
 		this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
 		this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
 		this.raycaster.setFromCamera(this.mouse, this.camera);
 
-		// Réinitialiser les hover
-		this.planetData.forEach(data => {
-			data.hovered = false;
-		});
+		this.updateGridHover();
 
-		// 1. Tester les planètes du instancedMesh si visible
-		if (this.instancedMesh.visible) {
-			const intersects = this.raycaster.intersectObject(this.instancedMesh);
+		// Réinitialiser le hover précédent
+		if (this.hoveredPlanetIndex !== null) {
+			this.planetStore.get(this.hoveredPlanetIndex).hovered = false;
+			this.hoveredPlanetIndex = null;
+		}
 
-			if (intersects.length > 0) {
-				const instanceId = intersects[0].instanceId;
-				const globalPlanetIndex = this.instanceIndexToPlanetIndex.get(instanceId);
-				const planet = this.planetData.find(p => p.index === globalPlanetIndex);
-
-				if (planet && planet.visible) {
-					planet.hovered = true;
-					document.body.style.cursor = 'pointer';
-					return;
-				}
-			}
+		const hovered = this.findHoveredPlanet();
+		if (hovered) {
+			hovered.hovered = true;
+			this.hoveredPlanetIndex = hovered.index;
+		}
+
+		document.body.style.cursor = hovered ? 'pointer' : 'default';
+		this.planetLod.setHighlight(hovered ? hovered.index : null);
+		// Pas de carte quand le curseur est sur un panneau de l'interface
+		this.updateHoverCard(event.target === this.renderer.domElement ? hovered : null, event);
+	}
+
+	/**
+	 * Planète sous le curseur (raycaster déjà positionné), null si aucune
+	 */
+	findHoveredPlanet() {
+		// 1. Tester les planètes (tous niveaux de détail) si visibles
+		const pickedIndex = this.pickPlanet();
+		if (pickedIndex !== null) {
+			return this.planetStore.get(pickedIndex);
 		}
 
 		// 2. Tester les planètes alwaysVisible en arrière-plan
@@ -1198,7 +2228,7 @@ class GalaxyViewer {
 			const intersects = this.raycaster.intersectObject(mesh);
 
 			if (intersects.length > 0) {
-				const planet = this.planetData.find(p => p.biome === biomeKey);
+				const planet = this.planetStore.getByBiome(biomeKey)[0];
 
 				// ← AJOUTER: Vérifier que ce n'est pas la planète focusée
 				if (planet && planet.index !== this.selectedPlanetIndex) {
@@ -1207,15 +2237,51 @@ class GalaxyViewer {
 					const behindCamera = cameraDistance < this.camera.near;
 
 					if (!behindCamera) {
-						planet.hovered = true;
-						document.body.style.cursor = 'pointer';
-						return;
+						return planet;
 					}
 				}
 			}
 		}
 
-		document.body.style.cursor = 'default';
+		return null;
+	}
+
+	/**
+	 * Carte de survol unique, partagée par toutes les planètes, qui suit le curseur
+	 */
+	updateHoverCard(planet, event) {
+		const card = document.getElementById('hover-card');
+
+		if (!planet) {
+			card.classList.add('hidden');
+			return;
+		}
+
+		if (card.dataset.planet !== String(planet.index)) {
+			card.dataset.planet = planet.index;
+			card.innerHTML = `
+                <div class="flex items-center justify-between gap-3">
+                    <span class="text-white font-semibold truncate">${escapeHtml(planet.name)}</span>
+                    <span class="text-star-wars flex-shrink-0">${escapeHtml(planet.grid)}</span>
+                </div>
+                <div class="text-gray-400 font-light truncate">${escapeHtml(planet.sector)}</div>
+                <div class="flex items-center gap-1.5 text-gray-500 font-light">
+                    <span class="w-1.5 h-1.5 rounded-full flex-shrink-0" style="background: ${escapeHtml(planet.regionColor)};"></span>
+                    <span class="truncate">${escapeHtml(planet.region)}</span>
+                </div>
+            `;
+		}
+
+		// Décalée du curseur, et ramenée à gauche / en haut près des bords de l'écran
+		const offset = 14;
+		card.classList.remove('hidden');
+		const x = event.clientX + offset + card.offsetWidth > window.innerWidth
+			? event.clientX - offset - card.offsetWidth
+			: event.clientX + offset;
+		const y = event.clientY + offset + card.offsetHeight > window.innerHeight
+			? event.clientY - offset - card.offsetHeight
+			: event.clientY + offset;
+		card.style.transform = `translate(${x}px, ${y}px)`;
 	}
 
 	onMouseClick(event) {
@@ -1224,25 +2290,21 @@ class GalaxyViewer {
 			return;
 		}
 
+		if (event.target.closest('#route-panel, #search-container, .sector-label, .planet-label')) {
+			return;
+		}
+
 		this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
 		this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
 
 		this.raycaster.setFromCamera(this.mouse, this.camera);
 
-		// 1. Tester d'abord les planètes du instancedMesh si visible
-		if (this.instancedMesh.visible) {
-			const intersects = this.raycaster.intersectObject(this.instancedMesh);
-
-			if (intersects.length > 0) {
-				const instanceId = intersects[0].instanceId;
-				const globalPlanetIndex = this.instanceIndexToPlanetIndex.get(instanceId);
-				const planet = this.planetData.find(p => p.index === globalPlanetIndex);
-
-				if (planet && planet.visible) {
-					this.focusOnPlanet(globalPlanetIndex);
-					return;
-				}
-			}
+		// 1. Tester d'abord les planètes (tous niveaux de détail) si visibles
+		const globalPlanetIndex = this.pickPlanet();
+		if (globalPlanetIndex !== null) {
+			if (this.handleRoutePick(this.planetStore.get(globalPlanetIndex))) return;
+			this.focusOnPlanet(globalPlanetIndex);
+			return;
 		}
 
 		// 2. Tester les planètes alwaysVisible en arrière-plan
@@ -1251,7 +2313,7 @@ class GalaxyViewer {
 			const intersects = this.raycaster.intersectObject(mesh);
 
 			if (intersects.length > 0) {
-				const planet = this.planetData.find(p => p.biome === biomeKey);
+				const planet = this.planetStore.getByBiome(biomeKey)[0];
 
 				// ← AJOUTER: Vérifier que ce n'est pas une planète déjà focusée
 				if (planet && planet.index !== this.selectedPlanetIndex) {
@@ -1260,6 +2322,7 @@ class GalaxyViewer {
 					const behindCamera = cameraDistance < this.camera.near;
 
 					if (!behindCamera) {
+						if (this.handleRoutePick(planet)) return;
 						this.focusOnPlanet(planet.index);
 						return;
 					}
@@ -1268,21 +2331,22 @@ class GalaxyViewer {
 		}
 	}
 
-	async focusOnPlanet(globalPlanetIndex) {
+	/**
+	 * @param options.cameraPosition / options.cameraTarget Vue explicite (restauration depuis l'URL)
+	 */
+	async focusOnPlanet(globalPlanetIndex, { cameraPosition = null, cameraTarget = null } = {}) {
 		if (this.selectedPlanetIndex !== null && this.selectedPlanetIndex !== globalPlanetIndex) {
 			this.restorePlanetsToOriginalPositions(0.5);
 		}
 
-		this.selectedPlanetIndex = globalPlanetIndex;
-
-		const planet = this.planetData.find(p => p.index === globalPlanetIndex);
+		const planet = this.planetStore.get(globalPlanetIndex);
 
 		if (!planet) {
 			console.error(`❌ Planète avec index ${globalPlanetIndex} non trouvée`);
 			return;
 		}
 
-		planet.focused = true;
+		this.planetStore.setFocused(globalPlanetIndex);
 
 		this.controls.minDistance = CONFIG.PLANET_SIZE * 2;
 
@@ -1292,14 +2356,12 @@ class GalaxyViewer {
 			}
 		});
 
-		this.updateRegionalClouds();
-
 		if (planet.visible) {
-			this.instancedMesh.visible = false;
+			this.planetLod.group.visible = false;
 		}
 
-		this.regionalClouds.forEach(cloud => {
-			cloud.mesh.visible = false;
+		this.regionVolumes.forEach(volume => {
+			volume.mesh.visible = false;
 		});
 
 		// ← AJOUTER: Activer le glow sur les autres planètes alwaysVisible
@@ -1307,133 +2369,91 @@ class GalaxyViewer {
 
 		if (this.focusedHdMesh) {
 			const oldBiomeKey = this.focusedHdMeshKey;
-			const shouldKeepOldVisible = PLANET_SPECIFIC_TEXTURES[oldBiomeKey]?.alwaysVisible;
+			const shouldKeepOldVisible = getBiome(oldBiomeKey)?.alwaysVisible;
 
 			if (!shouldKeepOldVisible) {
 				this.scene.remove(this.focusedHdMesh);
-				if (this.focusedHdMesh.traverse) {
-					this.focusedHdMesh.traverse((child) => {
-						if (child.geometry) child.geometry.dispose();
-						if (child.material) {
-							if (Array.isArray(child.material)) {
-								child.material.forEach(m => m.dispose());
-							} else {
-								child.material.dispose();
-							}
-						}
-					});
-				}
+				disposeHDPlanetMesh(this.focusedHdMesh);
 				this.focusedHdMesh = null;
 			}
 		}
 
 		const biomeKey = planet.biome;
-		if (TEXTURE_MAPS[biomeKey]) {
-			console.log(`🔄 Chargement textures HD pour ${planet.name} (${biomeKey})...`);
-
-			this.showLoader();
-
+		if (hasHDTextures(biomeKey)) {
 			let hdMesh = this.alwaysVisibleMeshes.get(biomeKey);
 
+			// Mesh affiché tout de suite (couleur du biome), les textures arrivent ensuite
 			if (!hdMesh) {
-				hdMesh = await createHDPlanetMesh(biomeKey, CONFIG.PLANET_SIZE * 3);
-
-				this.hideLoader();
-
-				if (hdMesh) {
-					this.scene.add(hdMesh);
-					if (PLANET_SPECIFIC_TEXTURES[biomeKey]?.alwaysVisible) {
-						this.alwaysVisibleMeshes.set(biomeKey, hdMesh);
-					}
-					if (this.planetTooltips?.has(biomeKey)) {
-						const tooltipData = this.planetTooltips.get(biomeKey);
-						tooltipData.element.classList.add('visible');
-					}
+				hdMesh = createHDPlanetMesh(CONFIG.PLANET_SIZE * 3, planet.biomeColor, getPlanetRotation(planet));
+				this.scene.add(hdMesh);
+				if (getBiome(biomeKey)?.alwaysVisible) {
+					this.alwaysVisibleMeshes.set(biomeKey, hdMesh);
 				}
-			} else {
-				this.hideLoader();
+				if (this.planetTooltips?.has(biomeKey)) {
+					const tooltipData = this.planetTooltips.get(biomeKey);
+					tooltipData.element.classList.add('visible');
+				}
+
+				this.streamPlanetTextures(hdMesh, planet);
 			}
 
-			if (hdMesh) {
-				hdMesh.position.copy(planet.position);
-				this.focusedHdMesh = hdMesh;
-				this.focusedHdMeshKey = biomeKey;
-				console.log(`✅ Textures HD chargées pour ${planet.name}`);
+			hdMesh.position.copy(planet.position);
+			hdMesh.userData.sunDirection.copy(getStarDirection(planet));
+			this.focusedHdMesh = hdMesh;
+			this.focusedHdMeshKey = biomeKey;
 
-				this.updateLightingForPlanet(planet.position);
-			} else {
-				this.hideLoader();
-				console.error(`❌ Erreur lors de la création du mesh HD pour ${biomeKey}`);
-			}
+			this.updateLightingForPlanet(planet.position, hdMesh.userData.sunDirection);
 		} else {
-			this.hideLoader();
 			console.warn(`⚠️ Aucune texture HD définie pour le biome: ${biomeKey}`);
 		}
 
+		const infoRows = this.getPlanetInfoRows(planet);
+		const nearby = this.spatialIndex.nearest(planet.position, CONFIG.NEARBY_PLANETS_COUNT,
+			index => index !== planet.index && !this.planetData[index].filteredOut);
+
 		document.getElementById('planet-info').innerHTML = `
         <div class="space-y-3">
             <div class="text-base font-semibold text-white">
-                ${planet.name}
+                ${escapeHtml(planet.name)}
             </div>
             
             <div class="space-y-2 text-xs">
+                ${infoRows.map(({ key, label, value }) => `
                 <div class="flex items-start gap-2.5 text-gray-300">
                     <svg class="w-3.5 h-3.5 text-star-wars flex-shrink-0 mt-0.5 opacity-70" fill="currentColor" viewBox="0 0 20 20">
-                        <path fill-rule="evenodd" d="M5.05 4.05a7 7 0 119.9 9.9L10 18.9l-4.95-4.95a7 7 0 010-9.9zM10 11a2 2 0 100-4 2 2 0 000 4z" clip-rule="evenodd"></path>
+                        ${PLANET_INFO_ICONS[key] ?? PLANET_INFO_ICONS.default}
                     </svg>
                     <div class="flex-1">
-                        <div class="text-gray-500 mb-0.5">Grille</div>
-                        <div class="text-star-wars font-medium">${planet.grid}</div>
+                        <div class="text-gray-500 mb-0.5">${escapeHtml(label)}</div>
+                        <div class="${key === 'grid' ? 'text-star-wars font-medium' : 'text-white'} whitespace-pre-line">${escapeHtml(value)}</div>
                     </div>
-                </div>
-                
-                <div class="flex items-start gap-2.5 text-gray-300">
-                    <svg class="w-3.5 h-3.5 text-star-wars flex-shrink-0 mt-0.5 opacity-70" fill="currentColor" viewBox="0 0 20 20">
-                        <path d="M10.894 2.553a1 1 0 00-1.788 0l-7 14a1 1 0 001.169 1.409l5-1.429A1 1 0 009 15.571V11a1 1 0 112 0v4.571a1 1 0 00.725.962l5 1.428a1 1 0 001.17-1.408l-7-14z"></path>
-                    </svg>
-                    <div class="flex-1">
-                        <div class="text-gray-500 mb-0.5">Secteur</div>
-                        <div class="text-white">${planet.sector}</div>
-                    </div>
-                </div>
-                
-                <div class="flex items-start gap-2.5 text-gray-300">
-                    <svg class="w-3.5 h-3.5 text-star-wars flex-shrink-0 mt-0.5 opacity-70" fill="currentColor" viewBox="0 0 20 20">
-                        <path d="M10 3.5a1.5 1.5 0 013 0V4a1 1 0 001 1h3a1 1 0 011 1v3a1 1 0 01-1 1h-.5a1.5 1.5 0 000 3h.5a1 1 0 011 1v3a1 1 0 01-1 1h-3a1 1 0 01-1-1v-.5a1.5 1.5 0 00-3 0v.5a1 1 0 01-1 1H6a1 1 0 01-1-1v-3a1 1 0 00-1-1h-.5a1.5 1.5 0 010-3H4a1 1 0 001-1V6a1 1 0 011-1h3a1 1 0 001-1v-.5z"></path>
-                    </svg>
-                    <div class="flex-1">
-                        <div class="text-gray-500 mb-0.5">Région</div>
-                        <div class="text-white">${planet.region}</div>
-                    </div>
-                </div>
-                
-                <div class="flex items-start gap-2.5 text-gray-300">
-                    <svg class="w-3.5 h-3.5 text-star-wars flex-shrink-0 mt-0.5 opacity-70" fill="currentColor" viewBox="0 0 20 20">
-                        <path fill-rule="evenodd" d="M2 4a1 1 0 011-1h6a1 1 0 011 1v12a1 1 0 11-2 0V7H3v9a1 1 0 11-2 0V4zm8 0a1 1 0 011-1h6a1 1 0 011 1v12a1 1 0 11-2 0V7h-3v9a1 1 0 11-2 0V4z" clip-rule="evenodd"></path>
-                    </svg>
-                    <div class="flex-1">
-                        <div class="text-gray-500 mb-0.5">Biome</div>
-                        <div class="text-white capitalize">${planet.biome}</div>
-                    </div>
-                </div>
+                </div>`).join('')}
             </div>
+            ${nearby.length > 0 ? `
+            <div class="pt-2 border-t border-white/5 text-xs">
+                <div class="text-gray-500 mb-1">Systèmes proches</div>
+                ${nearby.map(({ index, distance }) => `
+                <div class="nearby-planet flex items-center justify-between gap-2 py-0.5 cursor-pointer hover:text-star-wars" data-index="${index}">
+                    <span class="text-white truncate">${escapeHtml(this.planetData[index].name)}</span>
+                    <span class="flex-shrink-0 text-gray-500">${(distance / this.routeUnit).toFixed(1)} cases</span>
+                </div>`).join('')}
+            </div>` : ''}
         </div>
     `;
 
-		window.showPlanetModal && window.showPlanetModal(planet);
+		document.querySelectorAll('#planet-info .nearby-planet').forEach(row => {
+			row.addEventListener('click', () => this.focusOnPlanet(Number(row.dataset.index)));
+		});
+
+		window.showPlanetModal && window.showPlanetModal(planet, infoRows);
 
-		this.animateCameraTo(planet.position);
+		this.animateCameraTo(cameraTarget ?? planet.position, cameraPosition);
+		this.writeUrlState('push');
 	}
 
 	clearPlanetFocus() {
 		if (this.selectedPlanetIndex !== null) {
-			const planet = this.planetData.find(p => p.index === this.selectedPlanetIndex);
-
-			if (planet) {
-				planet.focused = false;
-			}
-
-			this.selectedPlanetIndex = null;
+			this.planetStore.setFocused(null);
 
 			this.controls.minDistance = CONFIG.SPHERE_RADIUS * 0.5;
 
@@ -1443,30 +2463,17 @@ class GalaxyViewer {
 				velocity.set(0, 0, 0);
 			});
 
-			this.updateRegionalClouds();
-
 			this.updateAlwaysVisibleGlow(null);
 
 			// ← Les tooltips restent visibles - pas besoin de les afficher à nouveau
 			// car updatePlanetTooltipsPositions() les gère chaque frame
 
 			if (this.focusedHdMesh && this.focusedHdMeshKey) {
-				const shouldKeepVisible = PLANET_SPECIFIC_TEXTURES[this.focusedHdMeshKey]?.alwaysVisible;
+				const shouldKeepVisible = getBiome(this.focusedHdMeshKey)?.alwaysVisible;
 
 				if (!shouldKeepVisible) {
 					this.scene.remove(this.focusedHdMesh);
-					if (this.focusedHdMesh.traverse) {
-						this.focusedHdMesh.traverse((child) => {
-							if (child.geometry) child.geometry.dispose();
-							if (child.material) {
-								if (Array.isArray(child.material)) {
-									child.material.forEach(m => m.dispose());
-								} else {
-									child.material.dispose();
-								}
-							}
-						});
-					}
+					disposeHDPlanetMesh(this.focusedHdMesh);
 					this.focusedHdMesh = null;
 					this.focusedHdMeshKey = null;
 				} else {
@@ -1474,21 +2481,22 @@ class GalaxyViewer {
 				}
 			}
 
-			this.instancedMesh.visible = true;
+			this.planetLod.group.visible = true;
 
-			this.regionalClouds.forEach(cloud => {
-				cloud.mesh.visible = true;
+			this.regionVolumes.forEach(volume => {
+				volume.mesh.visible = true;
 			});
 
 			this.resetLighting();
 		}
 		document.getElementById('planet-info').innerHTML = '';
+		this.writeUrlState('push');
 	}
 
 	updateAlwaysVisibleGlow(focusedPlanetIndex) {
 		// Boucler sur tous les meshes alwaysVisible
 		for (const [biomeKey, mesh] of this.alwaysVisibleMeshes) {
-			const planet = this.planetData.find(p => p.biome === biomeKey);
+			const planet = this.planetStore.getByBiome(biomeKey)[0];
 
 			if (!planet) continue;
 
@@ -1539,10 +2547,476 @@ class GalaxyViewer {
 	}
 
 
-	animateCameraTo(targetPosition) {
+	// ========== LIENS PARTAGEABLES ==========
+	// Le hash de l'URL encode planète focusée, caméra, cible et filtres :
+	// #planet=Naboo&cam=x,y,z&target=x,y,z&regions=...&sectors=...&biomes=...
+
+	/**
+	 * @returns {Promise<boolean>} true si une vue a été restaurée depuis l'URL
+	 */
+	async setupDeepLinks() {
+		window.addEventListener('popstate', () => this.restoreFromUrl());
+
+		this.controls.addEventListener('change', () => {
+			clearTimeout(this.urlUpdateTimeout);
+			this.urlUpdateTimeout = setTimeout(() => this.writeUrlState('replace'), 400);
+		});
+
+		const restored = location.hash.length > 1;
+		if (restored) {
+			await this.restoreFromUrl();
+		}
+
+		this.deepLinksReady = true;
+		return restored;
+	}
+
+	serializeViewState() {
+		const params = new URLSearchParams();
+		const vectorParam = (v) => [v.x, v.y, v.z].map(n => n.toFixed(2)).join(',');
+		const listParam = (set) => [...set].join('|');
+
+		if (this.selectedPlanetIndex !== null) {
+			params.set('planet', this.planetStore.getFocused().name);
+		}
+		params.set('cam', vectorParam(this.camera.position));
+		params.set('target', vectorParam(this.controls.target));
+
+		if (this.filters.hiddenRegions.size > 0) params.set('regions', listParam(this.filters.hiddenRegions));
+		if (this.filters.sectors.size > 0) params.set('sectors', listParam(this.filters.sectors));
+		if (this.filters.biomes.size > 0) params.set('biomes', listParam(this.filters.biomes));
+		if (this.eraYear !== null) params.set('year', this.eraYear);
+
+		return `#${params.toString()}`;
+	}
+
+	/**
+	 * @param mode 'push' = nouvelle entrée d'historique (focus), 'replace' = mise à jour (caméra, filtres)
+	 */
+	writeUrlState(mode) {
+		if (!this.deepLinksReady || this.restoringFromUrl) return;
+
+		const hash = this.serializeViewState();
+		if (hash === location.hash) return;
+
+		if (mode === 'push') {
+			history.pushState(null, '', hash);
+		} else {
+			history.replaceState(null, '', hash);
+		}
+	}
+
+	async restoreFromUrl() {
+		const params = new URLSearchParams(location.hash.slice(1));
+		const parseVector = (value) => {
+			const parts = (value || '').split(',').map(Number);
+			return parts.length === 3 && parts.every(Number.isFinite)
+				? new THREE.Vector3(...parts)
+				: null;
+		};
+		const parseList = (value) => new Set(value ? value.split('|') : []);
+
+		this.restoringFromUrl = true;
+
+		try {
+			this.filters.hiddenRegions = parseList(params.get('regions'));
+			this.filters.sectors = parseList(params.get('sectors'));
+			this.filters.biomes = parseList(params.get('biomes'));
+			this.applyFilters();
+
+			const year = params.has('year') ? Number(params.get('year')) : null;
+			this.setEraYear(Number.isFinite(year) ? year : null);
+
+			const cameraPosition = parseVector(params.get('cam'));
+			const cameraTarget = parseVector(params.get('target'));
+			const planetName = params.get('planet');
+			const planet = planetName ? this.planetStore.getByName(planetName.trim()) : null;
+
+			if (planet && planet.index !== this.selectedPlanetIndex) {
+				await this.focusOnPlanet(planet.index, { cameraPosition, cameraTarget });
+			} else {
+				if (!planet && this.selectedPlanetIndex !== null) {
+					this.clearPlanetFocus();
+				}
+				if (cameraPosition) {
+					this.animateCameraTo(cameraTarget ?? this.controls.target.clone(), cameraPosition);
+				}
+			}
+		} finally {
+			this.restoringFromUrl = false;
+		}
+	}
+
+	// ========== FRISE DES ÈRES ==========
+
+	async loadEraAffiliations() {
+		try {
+			const response = await fetch('./era-affiliations.json');
+			this.eraAffiliations = response.ok ? await response.json() : {};
+			const systemCount = Object.keys(this.eraAffiliations.systems ?? {}).length;
+			console.log(`✅ Affiliations des ères chargées (${systemCount} systèmes détaillés)`);
+		} catch (error) {
+			console.warn('⚠️ Affiliations des ères indisponibles:', error.message);
+			this.eraAffiliations = {};
+		}
+	}
+
+	/**
+	 * Frise (curseur sur les ères de eras.js) et bouton ÈRES du panneau de stats
+	 * Frise active : planètes colorées par faction, légende des factions à la place des régions.
+	 */
+	setupEraTimeline() {
+		this.eraYear = null;
+		this.eraTransition = null;
+		// Faction de chaque planète à l'année affichée (null : frise inactive)
+		this.eraFactions = null;
+		this.factionColors = new Map();
+
+		const slider = document.getElementById('era-slider');
+		const ticks = document.getElementById('era-ticks');
+
+		ticks.style.gridTemplateColumns = `repeat(${ERAS.length}, minmax(0, 1fr))`;
+		ticks.innerHTML = ERAS.map(era => `
+            <button class="legend-toggle text-left truncate" data-year="${era.from}" title="${era.label}">${era.label}</button>
+        `).join('');
+		ticks.querySelectorAll('button').forEach(button => {
+			button.addEventListener('click', () => this.setEraYear(Number(button.dataset.year)));
+		});
+
+		slider.addEventListener('input', () => {
+			this.setEraYear(timelineToYear(slider.value / Number(slider.max)));
+		});
+
+		document.getElementById('toggle-eras').addEventListener('click', () => {
+			this.setEraYear(this.eraYear === null ? ERAS[0].from : null);
+		});
+	}
+
+	/**
+	 * Affiche la galaxie à une année (null : couleurs des biomes, frise masquée)
+	 */
+	setEraYear(year) {
+		if (year === this.eraYear) return;
+		this.eraYear = year;
+
+		const active = year !== null;
+		document.getElementById('era-timeline').classList.toggle('hidden', !active);
+		document.getElementById('region-legend').classList.toggle('hidden', active);
+		document.getElementById('era-legend').classList.toggle('hidden', !active);
+		document.getElementById('eras-state').textContent = active ? 'ON' : 'OFF';
+		document.body.classList.toggle('era-mode', active);
+
+		if (active) {
+			const slider = document.getElementById('era-slider');
+			const era = getEra(year);
+			// Le curseur n'est repositionné que si l'année vient d'ailleurs (bouton, URL)
+			if (timelineToYear(slider.value / Number(slider.max)) !== year) {
+				slider.value = Math.round(yearToTimeline(year) * Number(slider.max));
+			}
+			document.getElementById('era-name').textContent = era.label.toUpperCase();
+			document.getElementById('era-year').textContent = formatGalacticYear(year);
+			document.querySelectorAll('#era-ticks button').forEach(button => {
+				button.classList.toggle('text-star-wars', Number(button.dataset.year) === era.from);
+			});
+		}
+
+		this.startEraTransition();
+
+		// Le curseur émet un événement par pas : mise à jour de l'URL une fois le glissement fini
+		clearTimeout(this.urlUpdateTimeout);
+		this.urlUpdateTimeout = setTimeout(() => this.writeUrlState('replace'), 400);
+	}
+
+	getFactionColor(key) {
+		if (!this.factionColors.has(key)) {
+			this.factionColors.set(key, new THREE.Color((getFaction(key) ?? UNALIGNED_FACTION).color));
+		}
+		return this.factionColors.get(key);
+	}
+
+	/**
+	 * Fondu des couleurs de planètes vers celles de l'année affichée, et légende des factions
+	 */
+	startEraTransition() {
+		const count = this.planetData.length;
+		const from = new Float32Array(count * 3);
+		const to = new Float32Array(count * 3);
+		this.eraFactions = this.eraYear === null
+			? null
+			: this.planetData.map(planet => resolveFaction(planet, this.eraAffiliations, this.eraYear));
+
+		this.planetData.forEach((planet, i) => {
+			planet.displayColor.toArray(from, i * 3);
+			const color = this.eraFactions ? this.getFactionColor(this.eraFactions[i]) : planet.biomeColor;
+			color.toArray(to, i * 3);
+		});
+
+		this.eraTransition = { from, to, start: performance.now() };
+
+		if (this.eraFactions) {
+			this.renderEraLegend();
+		}
+	}
+
+	updateEraTransition() {
+		if (!this.eraTransition) return;
+
+		const { from, to, start } = this.eraTransition;
+		const progress = Math.min(1, (performance.now() - start) / CONFIG.ERA_TRANSITION_DURATION);
+		const eased = progress * progress * (3 - 2 * progress);
+
+		this.planetData.forEach((planet, i) => {
+			const offset = i * 3;
+			planet.displayColor.setRGB(
+				from[offset] + (to[offset] - from[offset]) * eased,
+				from[offset + 1] + (to[offset + 1] - from[offset + 1]) * eased,
+				from[offset + 2] + (to[offset + 2] - from[offset + 2]) * eased
+			);
+		});
+		this.planetLod.invalidate();
+
+		if (progress === 1) {
+			this.eraTransition = null;
+		}
+	}
+
+	/**
+	 * Factions présentes à l'année affichée, par nombre de systèmes contrôlés (hors planètes filtrées)
+	 */
+	renderEraLegend() {
+		const factionCounts = new Map();
+		this.planetData.forEach((planet, i) => {
+			if (planet.filteredOut) return;
+			const faction = this.eraFactions[i];
+			factionCounts.set(faction, (factionCounts.get(faction) ?? 0) + 1);
+		});
+
+		document.getElementById('era-legend').innerHTML = [...factionCounts]
+			.sort((a, b) => (a[0] === null) - (b[0] === null) || b[1] - a[1])
+			.map(([key, count]) => {
+				const faction = getFaction(key) ?? UNALIGNED_FACTION;
+				return `
+            <div class="flex items-center gap-2 text-xs text-gray-400 px-1" style="min-height: 24px;">
+                <div class="w-2 h-2 rounded-full flex-shrink-0" style="background: ${faction.color};"></div>
+                <span class="font-light flex-1 truncate" title="${faction.label}">${faction.label}</span>
+                <span class="text-gray-500">${count}</span>
+            </div>
+        `;
+			}).join('');
+	}
+
+	// ========== ITINÉRAIRES HYPERESPACE ==========
+
+	setupRoutePlanner() {
+		// Taille d'une case de grille en unités de la scène (cf. gridTo3D)
+		this.routeUnit = CONFIG.SPHERE_RADIUS / (CONFIG.GRID_SIZE / 2);
+		this.routePlanner = new RoutePlanner(
+			this.planetData.map(data => data.originalPosition),
+			CONFIG.ROUTE_MAX_JUMP * this.routeUnit
+		);
+		this.routePlanner.setLanes(
+			this.hyperlaneLines.map(({ stops }) => stops.map(stop => stop.index)),
+			CONFIG.HYPERLANE_COST_FACTOR
+		);
+		this.routeGroup = null;
+		this.routePickTarget = null;
+
+		const originInput = document.getElementById('route-origin');
+		const destinationInput = document.getElementById('route-destination');
+		document.getElementById('route-max-jump').value = CONFIG.ROUTE_MAX_JUMP;
+
+		[originInput, destinationInput].forEach(input => {
+			this.attachSearchDropdown(input, (result) => {
+				input.value = result.planet.name;
+			});
+		});
+
+		document.getElementById('route-compute').addEventListener('click', () => this.computeRoute());
+		document.getElementById('route-clear').addEventListener('click', () => this.clearRoute());
+		document.getElementById('route-pick').addEventListener('click', () => {
+			this.routePickTarget = 'origin';
+			this.renderRouteMessage('Cliquez sur la planète de départ');
+		});
+
+		[originInput, destinationInput].forEach(input => {
+			input.addEventListener('keydown', (e) => {
+				if (e.key === 'Enter') this.computeRoute();
+			});
+		});
+	}
+
+	/**
+	 * Mode sélection sur la carte : le clic remplit départ puis arrivée au lieu de focus
+	 */
+	handleRoutePick(planet) {
+		if (!this.routePickTarget) return false;
+
+		document.getElementById(`route-${this.routePickTarget}`).value = planet.name;
+
+		if (this.routePickTarget === 'origin') {
+			this.routePickTarget = 'destination';
+			this.renderRouteMessage('Cliquez sur la planète d\'arrivée');
+		} else {
+			this.routePickTarget = null;
+			this.computeRoute();
+		}
+
+		return true;
+	}
+
+	computeRoute() {
+		const originName = document.getElementById('route-origin').value;
+		const destinationName = document.getElementById('route-destination').value;
+		const origin = this.planetStore.getByName(originName.trim());
+		const destination = this.planetStore.getByName(destinationName.trim());
+
+		if (!origin || !destination) {
+			this.renderRouteMessage(`Planète inconnue: ${!origin ? originName : destinationName}`);
+			return;
+		}
+
+		const maxJump = parseFloat(document.getElementById('route-max-jump').value) || CONFIG.ROUTE_MAX_JUMP;
+		if (maxJump * this.routeUnit !== this.routePlanner.maxJump) {
+			this.routePlanner.setMaxJump(maxJump * this.routeUnit);
+		}
+
+		const route = this.routePlanner.findPath(origin.index, destination.index);
+
+		if (!route) {
+			this.clearRouteLine();
+			this.renderRouteMessage(`Aucun itinéraire avec un saut max de ${maxJump} cases`);
+			return;
+		}
+
+		const stops = route.path.map(index => this.planetStore.get(index));
+		this.drawRoute(stops);
+		this.renderRoutePanel(stops, route.distance);
+
+		console.log(`🛰️ Itinéraire ${origin.name} → ${destination.name}: ${stops.length - 1} sauts`);
+	}
+
+	drawRoute(stops) {
+		this.clearRouteLine();
+
+		const points = stops.map(stop => stop.originalPosition.clone());
+		const group = new THREE.Group();
+
+		// Ligne centrale
+		const lineGeo = new THREE.BufferGeometry().setFromPoints(points);
+		const lineMat = new THREE.LineBasicMaterial({
+			color: 0xFFE81F,
+			transparent: true,
+			opacity: 0.9,
+			blending: THREE.AdditiveBlending,
+			depthWrite: false,
+			fog: false,
+		});
+		group.add(new THREE.Line(lineGeo, lineMat));
+
+		// Halo : tube additif le long du chemin
+		if (points.length > 1) {
+			const path = new THREE.CurvePath();
+			for (let i = 0; i < points.length - 1; i++) {
+				path.add(new THREE.LineCurve3(points[i], points[i + 1]));
+			}
+
+			const glowGeo = new THREE.TubeGeometry(path, (points.length - 1) * 8, CONFIG.PLANET_SIZE * 0.6, 8, false);
+			const glowMat = new THREE.MeshBasicMaterial({
+				color: 0xFFE81F,
+				transparent: true,
+				opacity: 0.25,
+				blending: THREE.AdditiveBlending,
+				depthWrite: false,
+				fog: false,
+			});
+			const glow = new THREE.Mesh(glowGeo, glowMat);
+			group.add(glow);
+			group.userData.glow = glow;
+		}
+
+		// Étapes
+		const stopsGeo = new THREE.BufferGeometry().setFromPoints(points);
+		const stopsMat = new THREE.PointsMaterial({
+			color: 0xFFE81F,
+			size: CONFIG.PLANET_SIZE * 4,
+			map: this.generateCloudParticleTexture(),
+			transparent: true,
+			blending: THREE.AdditiveBlending,
+			depthWrite: false,
+			sizeAttenuation: true,
+			fog: false,
+		});
+		group.add(new THREE.Points(stopsGeo, stopsMat));
+
+		this.routeGroup = group;
+		this.scene.add(group);
+	}
+
+	renderRoutePanel(stops, totalDistance) {
+		const result = document.getElementById('route-result');
+
+		const hops = stops.map((stop, i) => {
+			const leg = i === 0 ? 0 : stop.originalPosition.distanceTo(stops[i - 1].originalPosition);
+			return `
+            <div class="route-stop flex items-center justify-between gap-2 py-1 cursor-pointer hover:text-star-wars" data-index="${stop.index}">
+                <span class="truncate"><span class="text-gray-600">${i}.</span> <span class="text-white">${escapeHtml(stop.name)}</span></span>
+                <span class="flex-shrink-0 text-star-wars font-medium">${escapeHtml(stop.grid)}</span>
+                <span class="flex-shrink-0 w-12 text-right text-gray-500">${i === 0 ? '' : (leg / this.routeUnit).toFixed(1)}</span>
+            </div>`;
+		}).join('');
+
+		result.innerHTML = `
+            <div class="space-y-0.5">${hops}</div>
+            <div class="flex items-center justify-between pt-2 border-t border-white/5">
+                <span class="text-gray-500">${stops.length - 1} sauts</span>
+                <span class="text-star-wars font-bold">${(totalDistance / this.routeUnit).toFixed(1)} cases</span>
+            </div>
+        `;
+
+		result.querySelectorAll('.route-stop').forEach(row => {
+			row.addEventListener('click', () => this.focusOnPlanet(Number(row.dataset.index)));
+		});
+	}
+
+	renderRouteMessage(message) {
+		// Le message peut contenir un nom saisi par l'utilisateur : jamais d'innerHTML
+		const line = document.createElement('div');
+		line.className = 'text-gray-500 font-light';
+		line.textContent = message;
+		document.getElementById('route-result').replaceChildren(line);
+	}
+
+	clearRouteLine() {
+		if (!this.routeGroup) return;
+
+		this.scene.remove(this.routeGroup);
+		this.routeGroup.traverse((child) => {
+			if (child.geometry) child.geometry.dispose();
+			if (child.material) {
+				if (child.material.map) child.material.map.dispose();
+				child.material.dispose();
+			}
+		});
+		this.routeGroup = null;
+	}
+
+	clearRoute() {
+		this.clearRouteLine();
+		this.routePickTarget = null;
+		document.getElementById('route-origin').value = '';
+		document.getElementById('route-destination').value = '';
+		document.getElementById('route-result').innerHTML = '';
+	}
+
+	animateCameraTo(targetPosition, cameraPosition = null) {
 		const distance = CONFIG.SPHERE_RADIUS * 0.03;
 		const direction = targetPosition.clone().normalize();
-		const cameraTarget = targetPosition.clone().add(direction.multiplyScalar(distance));
+		const cameraTarget = cameraPosition
+			? cameraPosition.clone()
+			: targetPosition.clone().add(direction.multiplyScalar(distance));
+
+		// Une nouvelle animation interrompt la précédente
+		const animationId = this.cameraAnimationId = (this.cameraAnimationId || 0) + 1;
 
 		const duration = 1.5;
 		const startPosition = this.camera.position.clone();
@@ -1550,6 +3024,8 @@ class GalaxyViewer {
 		const startTime = Date.now();
 
 		const animate = () => {
+			if (animationId !== this.cameraAnimationId) return;
+
 			const elapsed = (Date.now() - startTime) / 1000;
 			const progress = Math.min(elapsed / duration, 1);
 
@@ -1576,18 +3052,97 @@ class GalaxyViewer {
 
 		this.applyRepulsionForces();
 		this.updatePlanetVelocities();
-		this.updateRegionalClouds();
+		this.updateHyperlanes();
+
+		// Pulsation du halo de l'itinéraire
+		if (this.routeGroup?.userData.glow) {
+			this.routeGroup.userData.glow.material.opacity = 0.25 + 0.1 * Math.sin(time * 6);
+		}
+
+		this.alwaysVisibleMeshes.forEach(mesh => animateHDPlanetMesh(mesh, time));
+		if (this.focusedHdMesh) {
+			animateHDPlanetMesh(this.focusedHdMesh, time);
+		}
 
 		// ← AJOUTER: Mettre à jour les positions des tooltips
 		this.updatePlanetTooltipsPositions();
+		this.updatePlanetLabels();
+		this.updateSectorLabels();
+		this.updateEraTransition();
 
 		this.controls.update();
+		this.planetLod.update(this.camera, this.renderer.domElement.height);
 		this.renderer.render(this.scene, this.camera);
+
+		if (CONFIG.DEBUG_OVERLAY) {
+			this.updateDebugOverlay();
+		}
+	}
+
+	/**
+	 * Cache des textures HD et mémoire GPU (?debug), rafraîchi deux fois par seconde
+	 */
+	updateDebugOverlay() {
+		const now = performance.now();
+		if (now - (this.debugOverlayUpdatedAt ?? 0) < 500) return;
+		this.debugOverlayUpdatedAt = now;
+
+		const element = document.getElementById('debug-overlay');
+		const cache = HdTextureCache.getStats();
+		const { memory, render } = this.renderer.info;
+
+		element.classList.remove('hidden');
+		element.textContent = [
+			`Cache HD   ${cache.megabytes.toFixed(1)} / ${cache.budgetMegabytes} Mo`,
+			`Entrées    ${cache.entries} (${cache.retained} retenues)`,
+			`Hits       ${cache.hits}  Misses ${cache.misses}  Évincées ${cache.evictions}`,
+			`GPU        ${memory.textures} textures, ${memory.geometries} géométries`,
+			`Draw calls ${render.calls}`,
+		].join('\n');
+	}
+
+	/**
+	 * Streaming des textures HD d'un mesh de planète, annulé si le mesh est libéré entre-temps
+	 * (cf. disposeHDPlanetMesh) : les calques en attente d'une planète quittée ne sont jamais chargés.
+	 */
+	async streamPlanetTextures(hdMesh, planet) {
+		const controller = new AbortController();
+		hdMesh.userData.stream = controller;
+		this.loaderStream = controller;
+		console.log(`🔄 Streaming des textures HD pour ${planet.name} (${planet.biome})...`);
+
+		try {
+			const loaded = await streamHDTextures(planet.biome, planet.name, hdMesh, {
+				signal: controller.signal,
+				onProgress: (count, total) => {
+					if (this.loaderStream === controller) {
+						this.showLoader(`Textures HD ${count}/${total}`);
+					}
+				},
+			});
+
+			if (loaded) {
+				console.log(`✅ Textures HD chargées pour ${planet.name}`);
+			} else {
+				console.error(`❌ Pas de texture diffuse pour ${planet.biome}`);
+			}
+		} catch (error) {
+			if (!isAbortError(error)) {
+				console.error(`❌ Erreur lors du streaming des textures de ${planet.name}:`, error);
+			}
+		} finally {
+			hdMesh.userData.stream = null;
+			if (this.loaderStream === controller) {
+				this.loaderStream = null;
+				this.hideLoader();
+			}
+		}
 	}
 
-	showLoader() {
+	showLoader(status = 'Chargement des textures...') {
 		const loader = document.getElementById('planet-loader');
 		if (loader) {
+			document.getElementById('planet-loader-status').textContent = status;
 			loader.classList.remove('hidden');
 		}
 	}
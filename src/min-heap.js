@@ -0,0 +1,48 @@
+/**
+ * File de priorité minimale (tas binaire)
+ */
+export class MinHeap {
+	constructor() {
+		this.items = [];
+	}
+
+	get size() {
+		return this.items.length;
+	}
+
+	push(value, priority) {
+		const items = this.items;
+		items.push({ value, priority });
+
+		let i = items.length - 1;
+		while (i > 0) {
+			const parent = (i - 1) >> 1;
+			if (items[parent].priority <= items[i].priority) break;
+			[items[parent], items[i]] = [items[i], items[parent]];
+			i = parent;
+		}
+	}
+
+	pop() {
+		const items = this.items;
+		const top = items[0];
+		const last = items.pop();
+
+		if (items.length > 0) {
+			items[0] = last;
+			let i = 0;
+			while (true) {
+				const left = i * 2 + 1;
+				const right = left + 1;
+				let smallest = i;
+				if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+				if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+				if (smallest === i) break;
+				[items[smallest], items[i]] = [items[i], items[smallest]];
+				i = smallest;
+			}
+		}
+
+		return top.value;
+	}
+}
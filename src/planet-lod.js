@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+
+/**
+ * Rendu des planètes par niveaux de détail, choisis par instance selon la distance à la caméra
+ *  - near : sphères détaillées (InstancedMesh)
+ *  - mid  : sphères low-poly (InstancedMesh)
+ *  - far  : sprites ronds dessinés en shader (Points)
+ * Le picking ne passe pas par ces objets (cf. spatial-index.js).
+ */
+
+const FAR_VERTEX_SHADER = `
+	attribute vec3 planetColor;
+	attribute float planetScale;
+	uniform float size;
+	uniform float scale;
+	uniform float minSize;
+	varying vec3 vColor;
+
+	void main() {
+		vColor = planetColor;
+		vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+		gl_PointSize = max(minSize, size * scale / -mvPosition.z) * planetScale;
+		gl_Position = projectionMatrix * mvPosition;
+	}
+`;
+
+const FAR_FRAGMENT_SHADER = `
+	uniform float opacity;
+	varying vec3 vColor;
+
+	void main() {
+		float d = length(gl_PointCoord - 0.5);
+		if (d > 0.5) discard;
+
+		// Léger dégradé radial pour rappeler l'ombrage des sphères proches
+		float shade = 1.0 - d * 0.8;
+		gl_FragColor = vec4(vColor * shade, opacity * smoothstep(0.5, 0.35, d));
+	}
+`;
+
+// Planète survolée : agrandie et éclaircie
+const HIGHLIGHT_SCALE = 1.8;
+const WHITE = new THREE.Color(0xffffff);
+
+export class PlanetLOD {
+	/**
+	 * @param planets planetData (position, displayColor, visible, index)
+	 * @param options.radius Rayon d'une planète
+	 * @param options.nearDistance En deçà : sphères détaillées
+	 * @param options.farDistance Au-delà : sprites
+	 * @param options.boundingRadius Rayon de la sphère englobant toutes les planètes
+	 * @param options.material Matériau des sphères (near et mid)
+	 */
+	constructor(planets, { radius, nearDistance, farDistance, boundingRadius, material }) {
+		this.planets = planets;
+		this.radius = radius;
+		this.nearDistance = nearDistance;
+		this.farDistance = farDistance;
+		this.group = new THREE.Group();
+		this.dirty = true;
+		this.highlightIndex = null;
+		this.highlightColor = new THREE.Color();
+		this.lastCameraPosition = new THREE.Vector3(Infinity, Infinity, Infinity);
+
+		// Les instances bougent (filtres, répulsion) : sphère englobante fixe plutôt que recalculée
+		const bounds = new THREE.Sphere(new THREE.Vector3(), boundingRadius);
+
+		this.near = this.createInstancedLevel(new THREE.SphereGeometry(radius, 32, 32), material, bounds);
+		this.mid = this.createInstancedLevel(new THREE.IcosahedronGeometry(radius, 1), material, bounds);
+		this.far = this.createPointsLevel(bounds);
+	}
+
+	createInstancedLevel(geometry, material, bounds) {
+		const mesh = new THREE.InstancedMesh(geometry, material, this.planets.length);
+		mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+		mesh.boundingSphere = bounds.clone();
+		mesh.count = 0;
+
+		// Matrices identité : seules l'échelle et la translation sont réécrites ensuite
+		const identity = new THREE.Matrix4();
+		const color = new THREE.Color();
+		for (let i = 0; i < this.planets.length; i++) {
+			mesh.setMatrixAt(i, identity);
+			mesh.setColorAt(i, color);
+		}
+		mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+
+		this.group.add(mesh);
+		return { object: mesh, count: 0 };
+	}
+
+	createPointsLevel(bounds) {
+		const geometry = new THREE.BufferGeometry();
+		const positions = new THREE.BufferAttribute(new Float32Array(this.planets.length * 3), 3);
+		const colors = new THREE.BufferAttribute(new Float32Array(this.planets.length * 3), 3);
+		const scales = new THREE.BufferAttribute(new Float32Array(this.planets.length), 1);
+		[positions, colors, scales].forEach(attribute => attribute.setUsage(THREE.DynamicDrawUsage));
+		geometry.setAttribute('position', positions);
+		geometry.setAttribute('planetColor', colors);
+		geometry.setAttribute('planetScale', scales);
+		geometry.boundingSphere = bounds.clone();
+		geometry.setDrawRange(0, 0);
+
+		const material = new THREE.ShaderMaterial({
+			uniforms: {
+				size: { value: this.radius * 2 },
+				scale: { value: 1 },
+				minSize: { value: 2 },
+				opacity: { value: 0.95 },
+			},
+			vertexShader: FAR_VERTEX_SHADER,
+			fragmentShader: FAR_FRAGMENT_SHADER,
+			transparent: true,
+		});
+
+		const points = new THREE.Points(geometry, material);
+		this.group.add(points);
+		return { object: points, count: 0 };
+	}
+
+	/**
+	 * À appeler quand la position ou la visibilité d'une planète change
+	 */
+	invalidate() {
+		this.dirty = true;
+	}
+
+	/**
+	 * Met une planète en surbrillance (survol), null pour aucune
+	 */
+	setHighlight(index) {
+		if (index === this.highlightIndex) return;
+		this.highlightIndex = index;
+		this.dirty = true;
+	}
+
+	/**
+	 * Répartit les planètes visibles entre les niveaux (seulement si caméra ou planètes ont bougé)
+	 * @param viewportHeight Hauteur du canvas en pixels physiques
+	 */
+	update(camera, viewportHeight) {
+		// Taille des sprites : même diamètre apparent qu'une sphère à la même distance
+		this.far.object.material.uniforms.scale.value =
+			viewportHeight / (2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2));
+
+		if (!this.dirty && camera.position.equals(this.lastCameraPosition)) return;
+
+		this.dirty = false;
+		this.lastCameraPosition.copy(camera.position);
+
+		const nearSq = this.nearDistance * this.nearDistance;
+		const farSq = this.farDistance * this.farDistance;
+		const levels = [this.near, this.mid, this.far];
+		levels.forEach(level => {
+			level.count = 0;
+		});
+
+		const nearMatrices = this.near.object.instanceMatrix.array;
+		const midMatrices = this.mid.object.instanceMatrix.array;
+		const nearColors = this.near.object.instanceColor.array;
+		const midColors = this.mid.object.instanceColor.array;
+		const farPositions = this.far.object.geometry.attributes.position.array;
+		const farColors = this.far.object.geometry.attributes.planetColor.array;
+		const farScales = this.far.object.geometry.attributes.planetScale.array;
+
+		for (const planet of this.planets) {
+			if (!planet.visible) continue;
+
+			const { position, displayColor } = planet;
+			const distanceSq = position.distanceToSquared(camera.position);
+
+			let level, matrices, colors;
+			if (distanceSq < nearSq) {
+				level = this.near;
+				matrices = nearMatrices;
+				colors = nearColors;
+			} else if (distanceSq < farSq) {
+				level = this.mid;
+				matrices = midMatrices;
+				colors = midColors;
+			} else {
+				level = this.far;
+				colors = farColors;
+			}
+
+			const slot = level.count++;
+			const highlighted = planet.index === this.highlightIndex;
+			const scale = highlighted ? HIGHLIGHT_SCALE : 1;
+
+			if (matrices) {
+				matrices[slot * 16] = scale;
+				matrices[slot * 16 + 5] = scale;
+				matrices[slot * 16 + 10] = scale;
+				matrices[slot * 16 + 12] = position.x;
+				matrices[slot * 16 + 13] = position.y;
+				matrices[slot * 16 + 14] = position.z;
+			} else {
+				position.toArray(farPositions, slot * 3);
+				farScales[slot] = scale;
+			}
+
+			if (highlighted) {
+				this.highlightColor.copy(displayColor).lerp(WHITE, 0.6).toArray(colors, slot * 3);
+			} else {
+				displayColor.toArray(colors, slot * 3);
+			}
+		}
+
+		[this.near, this.mid].forEach(level => {
+			level.object.count = level.count;
+			level.object.instanceMatrix.needsUpdate = true;
+			level.object.instanceColor.needsUpdate = true;
+		});
+
+		this.far.object.geometry.setDrawRange(0, this.far.count);
+		this.far.object.geometry.attributes.position.needsUpdate = true;
+		this.far.object.geometry.attributes.planetColor.needsUpdate = true;
+		this.far.object.geometry.attributes.planetScale.needsUpdate = true;
+	}
+}
@@ -0,0 +1,166 @@
+/**
+ * Schéma des fiches de systèmes, partagé par le parser (validation) et le viewer (affichage)
+ * Champs de base (planets.json / planets.bin) : name, sector, region, grid, biome.
+ * Champs enrichis (assets/planet-details.json, facultatifs) déclarés par registerPlanetField :
+ *   label     libellé affiché
+ *   validate  (value) => message d'erreur, ou null si valide
+ *   format    (value) => texte affiché (défaut : String(value))
+ *   wide      occupe toute la largeur de la fiche mobile
+ * Un champ non déclaré est gardé s'il est un texte, un nombre ou un booléen (libellé = sa clé).
+ *
+ * Années galactiques : nombres signés, négatifs avant la bataille de Yavin (-19 = 19 BBY, 4 = 4 ABY).
+ */
+
+const FIELDS = new Map();
+
+export function registerPlanetField(key, definition) {
+	FIELDS.set(key, { key, format: String, wide: false, ...definition });
+}
+
+export function getPlanetField(key) {
+	return FIELDS.get(key) ?? null;
+}
+
+export function formatGalacticYear(year) {
+	return year < 0 ? `${-year} BBY` : `${year} ABY`;
+}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0 ? null : 'entier positif attendu';
+const isText = (value) => typeof value === 'string' && value.trim() !== '' ? null : 'texte attendu';
+const isYear = (value) => value === undefined || Number.isFinite(value);
+
+// ========== CHAMPS DE BASE ==========
+
+registerPlanetField('grid', { label: 'Grille' });
+registerPlanetField('sector', { label: 'Secteur' });
+registerPlanetField('region', { label: 'Région', wide: true });
+registerPlanetField('biome', {
+	label: 'Biome',
+	format: (value) => value.charAt(0).toUpperCase() + value.slice(1),
+	wide: true,
+});
+
+// ========== CHAMPS ENRICHIS ==========
+
+registerPlanetField('suns', { label: 'Soleils', validate: isCount });
+
+registerPlanetField('moons', { label: 'Lunes', validate: isCount });
+
+registerPlanetField('climate', { label: 'Climat', validate: isText, wide: true });
+
+registerPlanetField('population', {
+	label: 'Population',
+	validate: isCount,
+	format: (value) => value.toLocaleString('fr-FR'),
+	wide: true,
+});
+
+// true, ou ce dont le système est la capitale (« République Galactique »)
+registerPlanetField('capital', {
+	label: 'Capitale',
+	validate: (value) => value === true || !isText(value) ? null : 'true ou texte attendu',
+	format: (value) => value === true ? 'Oui' : value,
+	wide: true,
+});
+
+// [{ faction, from?, to? }] : contrôle du système par période (bornes incluses, ouvertes si absentes)
+registerPlanetField('affiliations', {
+	label: 'Affiliations',
+	validate: (value) => {
+		if (!Array.isArray(value) || value.length === 0) return 'liste { faction, from?, to? } attendue';
+		const invalid = value.findIndex(entry => !entry || typeof entry !== 'object' || isText(entry.faction)
+			|| !isYear(entry.from) || !isYear(entry.to)
+			|| (entry.from !== undefined && entry.to !== undefined && entry.from > entry.to));
+		return invalid === -1 ? null : `période invalide: ${JSON.stringify(value[invalid])}`;
+	},
+	format: (value) => value.map(({ faction, from, to }) => {
+		if (from === undefined && to === undefined) return faction;
+		const start = from === undefined ? '…' : formatGalacticYear(from);
+		const end = to === undefined ? '…' : formatGalacticYear(to);
+		return `${faction} (${start} → ${end})`;
+	}).join('\n'),
+	wide: true,
+});
+
+// { canon: 'canon' | 'legends', reference? } : origine des informations
+registerPlanetField('source', {
+	label: 'Source',
+	validate: (value) => {
+		if (!['canon', 'legends'].includes(value?.canon)) return "canon: 'canon' ou 'legends' attendu";
+		return value.reference === undefined || !isText(value.reference) ? null : 'reference: texte attendu';
+	},
+	format: ({ canon, reference }) => {
+		const label = canon === 'canon' ? 'Canon' : 'Legends';
+		return reference ? `${label} - ${reference}` : label;
+	},
+	wide: true,
+});
+
+// ========== VALIDATION / AFFICHAGE ==========
+
+const BASE_FIELDS = ['name', 'sector', 'region', 'grid', 'x', 'y', 'biome', 'color', 'regionColor'];
+const BASE_INFO_FIELDS = ['grid', 'sector', 'region', 'biome'];
+
+/**
+ * Valide la fiche enrichie d'un système
+ * @returns {{details: object, errors: {field: string, reason: string}[]}} champs invalides retirés
+ */
+export function validatePlanetDetails(details) {
+	const valid = {};
+	const errors = [];
+
+	Object.entries(details).forEach(([key, value]) => {
+		const field = getPlanetField(key);
+		let reason = null;
+
+		if (BASE_FIELDS.includes(key)) {
+			reason = 'champ de base, non modifiable';
+		} else if (field?.validate) {
+			reason = field.validate(value);
+		} else if (!field && !['string', 'number', 'boolean'].includes(typeof value)) {
+			reason = 'champ libre: texte, nombre ou booléen attendu';
+		}
+
+		if (reason) {
+			errors.push({ field: key, reason });
+		} else {
+			valid[key] = value;
+		}
+	});
+
+	return { details: valid, errors };
+}
+
+/**
+ * Lignes affichables d'une fiche : champs de base puis enrichis, dans l'ordre du schéma,
+ * puis champs libres. Les champs absents sont omis.
+ * @returns {{key: string, label: string, value: string, wide: boolean}[]}
+ */
+export function getPlanetInfoRows(planet, details = {}) {
+	const values = { ...details };
+	BASE_INFO_FIELDS.forEach(key => {
+		values[key] = planet[key];
+	});
+	const keys = [...FIELDS.keys(), ...Object.keys(details).filter(key => !FIELDS.has(key))];
+
+	return keys
+		.filter(key => values[key] !== undefined && values[key] !== null && values[key] !== '')
+		.map(key => {
+			const field = getPlanetField(key);
+			return {
+				key,
+				label: field?.label ?? key,
+				value: (field?.format ?? String)(values[key]),
+				wide: field?.wide ?? true,
+			};
+		});
+}
+
+/**
+ * Échappe un texte pour innerHTML (les fiches viennent d'un fichier de données)
+ */
+export function escapeHtml(text) {
+	return String(text).replace(/[&<>"']/g, (char) => ({
+		'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+	})[char]);
+}
@@ -0,0 +1,144 @@
+/**
+ * Registre central des planètes (planetData) : accès O(1) et mutations avec événements
+ * Index : id (= index global), nom (insensible à la casse), case de grille, biome.
+ * Homonymes (ex: Junction en J-7 et O-5) : getByName garde le premier, getAllByName les donne tous.
+ *
+ * Événements (detail) :
+ *   positionchange   { ids }              position modifiée (setPosition, translate)
+ *   visibilitychange { ids }              visible ou filteredOut modifié
+ *   focuschange      { id, previousId }   planète focusée (null : aucune)
+ * Dans batch(), les événements sont regroupés et émis une fois à la fin.
+ */
+
+export class PlanetStore extends EventTarget {
+	/**
+	 * @param planets Entrées planetData ({index, name, grid, biome, position, visible, ...}), indexées par index
+	 */
+	constructor(planets) {
+		super();
+		this.planets = planets;
+		this.focusedId = null;
+		this.pending = null;
+
+		this.byName = new Map();
+		this.byGrid = new Map();
+		this.byBiome = new Map();
+
+		planets.forEach(planet => {
+			this.addToGroup(this.byName, planet.name.toLowerCase(), planet);
+			this.addToGroup(this.byGrid, planet.grid, planet);
+			this.addToGroup(this.byBiome, planet.biome, planet);
+		});
+
+		this.byName.forEach(homonyms => {
+			if (homonyms.length > 1) {
+				console.warn(`⚠️ Systèmes homonymes: ${homonyms[0].name} (${homonyms.map(p => p.grid).join(', ')}), le premier est retenu`);
+			}
+		});
+	}
+
+	addToGroup(map, key, planet) {
+		if (!map.has(key)) map.set(key, []);
+		map.get(key).push(planet);
+	}
+
+	get size() {
+		return this.planets.length;
+	}
+
+	get(id) {
+		return this.planets[id] ?? null;
+	}
+
+	/**
+	 * Premier système de ce nom (ordre des données)
+	 */
+	getByName(name) {
+		return this.getAllByName(name)[0] ?? null;
+	}
+
+	getAllByName(name) {
+		return this.byName.get(name.toLowerCase()) ?? [];
+	}
+
+	/**
+	 * Planètes d'une case de grille (ex: « K-17 »)
+	 */
+	getByGrid(cell) {
+		return this.byGrid.get(cell) ?? [];
+	}
+
+	getByBiome(biome) {
+		return this.byBiome.get(biome) ?? [];
+	}
+
+	getFocused() {
+		return this.get(this.focusedId);
+	}
+
+	// ========== MUTATIONS ==========
+
+	setPosition(id, position) {
+		this.planets[id].position.copy(position);
+		this.notify('positionchange', id);
+	}
+
+	translate(id, offset) {
+		this.planets[id].position.add(offset);
+		this.notify('positionchange', id);
+	}
+
+	/**
+	 * @param state.visible Planète affichée
+	 * @param state.filteredOut Exclue par les filtres (facultatif)
+	 */
+	setVisibility(id, { visible, filteredOut }) {
+		const planet = this.planets[id];
+		const nextFilteredOut = filteredOut ?? planet.filteredOut;
+		if (planet.visible === visible && planet.filteredOut === nextFilteredOut) return;
+
+		planet.visible = visible;
+		planet.filteredOut = nextFilteredOut;
+		this.notify('visibilitychange', id);
+	}
+
+	/**
+	 * Planète focusée (null : aucune)
+	 */
+	setFocused(id) {
+		const previousId = this.focusedId;
+		if (id === previousId) return;
+
+		if (previousId !== null) this.planets[previousId].focused = false;
+		if (id !== null) this.planets[id].focused = true;
+		this.focusedId = id;
+
+		this.dispatchEvent(new CustomEvent('focuschange', { detail: { id, previousId } }));
+	}
+
+	/**
+	 * Exécute fn en regroupant ses événements de position et de visibilité
+	 */
+	batch(fn) {
+		if (this.pending) return fn();
+
+		this.pending = { positionchange: new Set(), visibilitychange: new Set() };
+		try {
+			return fn();
+		} finally {
+			const pending = this.pending;
+			this.pending = null;
+			Object.entries(pending).forEach(([type, ids]) => {
+				if (ids.size > 0) this.dispatchEvent(new CustomEvent(type, { detail: { ids: [...ids] } }));
+			});
+		}
+	}
+
+	notify(type, id) {
+		if (this.pending) {
+			this.pending[type].add(id);
+		} else {
+			this.dispatchEvent(new CustomEvent(type, { detail: { ids: [id] } }));
+		}
+	}
+}
@@ -0,0 +1,139 @@
+/**
+ * Format binaire colonnaire de planets.json (planets.bin)
+ * Partagé entre le parser (encodage) et le worker du viewer (décodage).
+ *
+ * Disposition (little-endian) :
+ *   en-tête   u32 magic 'SWGM', u32 version, u32 nombre de planètes, u32 taille de la table de chaînes
+ *   table     JSON UTF-8 d'un tableau de chaînes uniques (complété à un multiple de 4 octets)
+ *   colonnes  un Uint16Array par champ texte (index dans la table), puis Uint8Array x et y
+ */
+
+export const PLANETS_BINARY_MAGIC = 0x4d475753; // 'SWGM'
+export const PLANETS_BINARY_VERSION = 1;
+
+const STRING_FIELDS = ['name', 'sector', 'region', 'grid', 'biome', 'color', 'regionColor'];
+const BYTE_FIELDS = ['x', 'y'];
+const HEADER_BYTES = 16;
+
+const align4 = (n) => Math.ceil(n / 4) * 4;
+
+/**
+ * Planètes (objets) → table de chaînes + colonnes typées
+ */
+export function planetsToColumns(planets) {
+	const strings = [];
+	const stringIds = new Map();
+	const internString = (value) => {
+		if (!stringIds.has(value)) {
+			stringIds.set(value, strings.length);
+			strings.push(value);
+		}
+		return stringIds.get(value);
+	};
+
+	const columns = {};
+	STRING_FIELDS.forEach(field => {
+		columns[field] = new Uint16Array(planets.length);
+	});
+	BYTE_FIELDS.forEach(field => {
+		columns[field] = new Uint8Array(planets.length);
+	});
+
+	planets.forEach((planet, i) => {
+		STRING_FIELDS.forEach(field => {
+			columns[field][i] = internString(planet[field] ?? '');
+		});
+		BYTE_FIELDS.forEach(field => {
+			columns[field][i] = planet[field];
+		});
+	});
+
+	if (strings.length > 0xffff) {
+		throw new Error(`Trop de chaînes uniques pour planets.bin (${strings.length})`);
+	}
+
+	return { count: planets.length, strings, columns };
+}
+
+/**
+ * Table de chaînes + colonnes → planètes (même forme que planets.json)
+ */
+export function columnsToPlanets({ count, strings, columns }) {
+	const planets = new Array(count);
+
+	for (let i = 0; i < count; i++) {
+		const planet = {};
+		STRING_FIELDS.forEach(field => {
+			planet[field] = strings[columns[field][i]];
+		});
+		BYTE_FIELDS.forEach(field => {
+			planet[field] = columns[field][i];
+		});
+		planets[i] = planet;
+	}
+
+	return planets;
+}
+
+export function encodePlanetsBinary(planets) {
+	const { count, strings, columns } = planetsToColumns(planets);
+	const table = new TextEncoder().encode(JSON.stringify(strings));
+
+	let byteLength = HEADER_BYTES + align4(table.length);
+	STRING_FIELDS.forEach(() => {
+		byteLength += align4(count * 2);
+	});
+	BYTE_FIELDS.forEach(() => {
+		byteLength += align4(count);
+	});
+
+	const buffer = new ArrayBuffer(byteLength);
+	const view = new DataView(buffer);
+	view.setUint32(0, PLANETS_BINARY_MAGIC, true);
+	view.setUint32(4, PLANETS_BINARY_VERSION, true);
+	view.setUint32(8, count, true);
+	view.setUint32(12, table.length, true);
+
+	const bytes = new Uint8Array(buffer);
+	bytes.set(table, HEADER_BYTES);
+
+	let offset = HEADER_BYTES + align4(table.length);
+	[...STRING_FIELDS, ...BYTE_FIELDS].forEach(field => {
+		bytes.set(new Uint8Array(columns[field].buffer), offset);
+		offset += align4(columns[field].byteLength);
+	});
+
+	return bytes;
+}
+
+/**
+ * Décode planets.bin ; chaque colonne a son propre ArrayBuffer (transférable séparément)
+ */
+export function decodePlanetsBinary(buffer) {
+	const view = new DataView(buffer);
+
+	if (view.getUint32(0, true) !== PLANETS_BINARY_MAGIC) {
+		throw new Error('planets.bin invalide (magic)');
+	}
+	if (view.getUint32(4, true) !== PLANETS_BINARY_VERSION) {
+		throw new Error(`Version de planets.bin non supportée: ${view.getUint32(4, true)}`);
+	}
+
+	const count = view.getUint32(8, true);
+	const tableLength = view.getUint32(12, true);
+	const strings = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, HEADER_BYTES, tableLength)));
+
+	const columns = {};
+	let offset = HEADER_BYTES + align4(tableLength);
+
+	STRING_FIELDS.forEach(field => {
+		columns[field] = new Uint16Array(buffer.slice(offset, offset + count * 2));
+		offset += align4(count * 2);
+	});
+	BYTE_FIELDS.forEach(field => {
+		columns[field] = new Uint8Array(buffer.slice(offset, offset + count));
+		offset += align4(count);
+	});
+
+	return { count, strings, columns };
+}
@@ -0,0 +1,95 @@
+/**
+ * Worker de chargement des planètes : téléchargement, décodage et placement 3D hors du thread principal
+ *
+ * Reçoit  { urls, config }  (urls essayées dans l'ordre : planets.bin puis planets.json)
+ * Envoie  { type: 'progress', phase, progress }
+ *         { type: 'done', count, strings, columns, positions }  (buffers transférés)
+ *         { type: 'error', message }
+ */
+
+import {decodePlanetsBinary, planetsToColumns, columnsToPlanets} from './planets-format.js';
+import {layoutPlanets} from './galaxy-layout.js';
+
+// Part de chaque phase dans la barre de progression du worker
+const PHASES = {
+	download: [0, 0.6],
+	decode: [0.6, 0.7],
+	layout: [0.7, 1],
+};
+
+function reportProgress(phase, progress) {
+	const [start, end] = PHASES[phase];
+	self.postMessage({ type: 'progress', phase, progress: start + (end - start) * progress });
+}
+
+/**
+ * Télécharge en flux pour suivre l'avancement (Content-Length absent = progression inconnue)
+ */
+async function download(url) {
+	const response = await fetch(url);
+	if (!response.ok) {
+		throw new Error(`${url}: HTTP ${response.status}`);
+	}
+
+	const total = Number(response.headers.get('Content-Length')) || 0;
+	if (!response.body || !total) {
+		return await response.arrayBuffer();
+	}
+
+	const reader = response.body.getReader();
+	const chunks = [];
+	let loaded = 0;
+
+	while (true) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		chunks.push(value);
+		loaded += value.length;
+		reportProgress('download', Math.min(1, loaded / total));
+	}
+
+	const bytes = new Uint8Array(loaded);
+	let offset = 0;
+	chunks.forEach(chunk => {
+		bytes.set(chunk, offset);
+		offset += chunk.length;
+	});
+	return bytes.buffer;
+}
+
+async function loadColumns(urls) {
+	let lastError = null;
+
+	for (const url of urls) {
+		try {
+			const buffer = await download(url);
+			reportProgress('decode', 0);
+			return url.endsWith('.json')
+				? planetsToColumns(JSON.parse(new TextDecoder().decode(buffer)))
+				: decodePlanetsBinary(buffer);
+		} catch (error) {
+			console.warn(`⚠️ ${error.message}`);
+			lastError = error;
+		}
+	}
+
+	throw lastError;
+}
+
+self.onmessage = async ({ data }) => {
+	try {
+		const { count, strings, columns } = await loadColumns(data.urls);
+		reportProgress('decode', 1);
+
+		const positions = layoutPlanets(
+			columnsToPlanets({ count, strings, columns }),
+			data.config,
+			(progress) => reportProgress('layout', progress)
+		);
+
+		const transfer = [positions.buffer, ...Object.values(columns).map(column => column.buffer)];
+		self.postMessage({ type: 'done', count, strings, columns, positions }, transfer);
+	} catch (error) {
+		self.postMessage({ type: 'error', message: error.message });
+	}
+};
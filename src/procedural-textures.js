@@ -0,0 +1,220 @@
+import * as THREE from 'three';
+import {mulberry32, hashString} from './random.js';
+
+/**
+ * Textures de planètes générées à partir de bruit (biomes sans PNG)
+ * Le bruit est échantillonné en 3D sur la sphère : pas de couture ni de pincement aux pôles.
+ */
+
+const WIDTH = 512;
+const HEIGHT = 256;
+const OCTAVES = 5;
+// Le fbm se concentre autour de 0.5 : étirement pour exploiter toute la palette
+const CONTRAST = 1.8;
+
+/**
+ * Bruit de valeur 3D (0..1), table de permutation tirée du seed
+ */
+function createNoise3D(random) {
+	const perm = new Uint8Array(512);
+	const values = new Float32Array(256);
+
+	const order = Array.from({ length: 256 }, (_, i) => i);
+	for (let i = 255; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[order[i], order[j]] = [order[j], order[i]];
+	}
+	for (let i = 0; i < 512; i++) perm[i] = order[i & 255];
+	for (let i = 0; i < 256; i++) values[i] = random();
+
+	const fade = (t) => t * t * (3 - 2 * t);
+	const lerp = (a, b, t) => a + (b - a) * t;
+	const at = (x, y, z) => values[perm[perm[perm[x & 255] + (y & 255)] + (z & 255)]];
+
+	return (x, y, z) => {
+		const xi = Math.floor(x);
+		const yi = Math.floor(y);
+		const zi = Math.floor(z);
+		const u = fade(x - xi);
+		const v = fade(y - yi);
+		const w = fade(z - zi);
+
+		return lerp(
+			lerp(
+				lerp(at(xi, yi, zi), at(xi + 1, yi, zi), u),
+				lerp(at(xi, yi + 1, zi), at(xi + 1, yi + 1, zi), u),
+				v
+			),
+			lerp(
+				lerp(at(xi, yi, zi + 1), at(xi + 1, yi, zi + 1), u),
+				lerp(at(xi, yi + 1, zi + 1), at(xi + 1, yi + 1, zi + 1), u),
+				v
+			),
+			w
+		);
+	};
+}
+
+/**
+ * Somme d'octaves normalisée (0..1)
+ */
+function fbm(noise, x, y, z) {
+	let value = 0;
+	let amplitude = 0.5;
+	let frequency = 1;
+	let total = 0;
+
+	for (let i = 0; i < OCTAVES; i++) {
+		value += noise(x * frequency, y * frequency, z * frequency) * amplitude;
+		total += amplitude;
+		amplitude *= 0.5;
+		frequency *= 2;
+	}
+
+	return value / total;
+}
+
+function stretch(value) {
+	return Math.min(1, Math.max(0, (value - 0.5) * CONTRAST + 0.5));
+}
+
+/**
+ * Couleur hex → [r, g, b] (0..255) en sRGB : THREE.Color stocke du linéaire, or le canvas est
+ * ensuite marqué sRGB (setHDLayer) et serait linéarisé deux fois
+ */
+function toSRGBBytes(hex) {
+	const { r, g, b } = new THREE.Color(hex).getRGB({}, THREE.SRGBColorSpace);
+	return [r * 255, g * 255, b * 255];
+}
+
+/**
+ * Dégradé [[position, couleur hex], ...] → fonction t => [r, g, b] (0..255, sRGB)
+ */
+function createPalette(stops) {
+	const colors = stops.map(([position, hex]) => [position, ...toSRGBBytes(hex)]);
+
+	return (t) => {
+		if (t <= colors[0][0]) return colors[0].slice(1);
+
+		for (let i = 1; i < colors.length; i++) {
+			const [position, r, g, b] = colors[i];
+			if (t <= position) {
+				const [previous, pr, pg, pb] = colors[i - 1];
+				const k = (t - previous) / (position - previous || 1);
+				return [pr + (r - pr) * k, pg + (g - pg) * k, pb + (b - pb) * k];
+			}
+		}
+
+		return colors[colors.length - 1].slice(1);
+	};
+}
+
+function createCanvasTexture(imageData) {
+	const canvas = document.createElement('canvas');
+	canvas.width = WIDTH;
+	canvas.height = HEIGHT;
+	canvas.getContext('2d').putImageData(imageData, 0, 0);
+
+	const texture = new THREE.CanvasTexture(canvas);
+	texture.wrapS = THREE.RepeatWrapping;
+	return texture;
+}
+
+/**
+ * Génère les calques d'un biome : diffuse, bump et (si déclarés) nuages
+ * @param procedural Paramètres du registre des biomes (cf. biome-registry.js)
+ * @param seedKey Clé de variation (ex: biome + nom de la planète)
+ * @returns {{diffuse: THREE.Texture, bump: THREE.Texture, clouds?: THREE.Texture}}
+ */
+export function generateBiomeTextures(procedural, seedKey) {
+	const random = mulberry32(hashString(seedKey));
+	const noise = createNoise3D(random);
+	const palette = createPalette(procedural.palette);
+	const scale = procedural.noiseScale ?? 3;
+	const { bands, polarCaps, clouds } = procedural;
+	const capColor = polarCaps ? toSRGBBytes(polarCaps.color) : null;
+
+	const diffuse = new ImageData(WIDTH, HEIGHT);
+	const bump = new ImageData(WIDTH, HEIGHT);
+	const cloudLayer = clouds ? new ImageData(WIDTH, HEIGHT) : null;
+	const cloudColor = clouds ? toSRGBBytes(clouds.color) : null;
+
+	// Décalages pour décorréler les champs de bruit (relief, nuages, turbulence)
+	const cloudOffset = 17.3 + random() * 50;
+	const turbulenceOffset = 41.7 + random() * 50;
+
+	for (let py = 0; py < HEIGHT; py++) {
+		const latitude = (0.5 - (py + 0.5) / HEIGHT) * Math.PI;
+		const cosLat = Math.cos(latitude);
+		const y = Math.sin(latitude);
+
+		for (let px = 0; px < WIDTH; px++) {
+			const longitude = ((px + 0.5) / WIDTH) * Math.PI * 2;
+			const x = cosLat * Math.cos(longitude);
+			const z = cosLat * Math.sin(longitude);
+
+			let height = stretch(fbm(noise, x * scale, y * scale, z * scale));
+
+			if (procedural.ridges) {
+				// Crêtes : relief plus marqué autour des valeurs médianes
+				height = height * 0.6 + (1 - Math.abs(height * 2 - 1)) * 0.4;
+			}
+
+			if (procedural.craters) {
+				const crater = noise(x * scale * 4 + 100, y * scale * 4, z * scale * 4);
+				if (crater > 0.8) height *= 0.7 + (1 - crater) * 1.5;
+			}
+
+			let tone = height;
+			if (bands) {
+				// Géantes gazeuses : bandes de latitude déformées par la turbulence
+				const turbulence = fbm(noise, x * 2 + turbulenceOffset, y * 2, z * 2) - 0.5;
+				tone = 0.5 + 0.5 * Math.sin(y * bands.frequency + turbulence * bands.turbulence * Math.PI);
+				tone = tone * 0.8 + height * 0.2;
+			}
+
+			let [r, g, b] = palette(tone);
+
+			if (capColor) {
+				const capStart = polarCaps.latitude - (height - 0.5) * 0.15;
+				if (Math.abs(y) > capStart) {
+					[r, g, b] = capColor;
+				}
+			}
+
+			const i = (py * WIDTH + px) * 4;
+			diffuse.data[i] = r;
+			diffuse.data[i + 1] = g;
+			diffuse.data[i + 2] = b;
+			diffuse.data[i + 3] = 255;
+
+			const relief = (bands ? 0.5 : height) * 255;
+			bump.data[i] = relief;
+			bump.data[i + 1] = relief;
+			bump.data[i + 2] = relief;
+			bump.data[i + 3] = 255;
+
+			if (cloudLayer) {
+				const cloudScale = clouds.scale ?? 3;
+				const density = stretch(fbm(noise, x * cloudScale + cloudOffset, y * cloudScale * 1.5, z * cloudScale));
+				const threshold = 1 - clouds.coverage;
+				const alpha = THREE.MathUtils.smoothstep(density, threshold - 0.08, threshold + 0.12);
+
+				cloudLayer.data[i] = cloudColor[0];
+				cloudLayer.data[i + 1] = cloudColor[1];
+				cloudLayer.data[i + 2] = cloudColor[2];
+				cloudLayer.data[i + 3] = alpha * 255;
+			}
+		}
+	}
+
+	const textures = {
+		diffuse: createCanvasTexture(diffuse),
+		bump: createCanvasTexture(bump),
+	};
+	if (cloudLayer) {
+		textures.clouds = createCanvasTexture(cloudLayer);
+	}
+
+	return textures;
+}
@@ -0,0 +1,37 @@
+/**
+ * Générateurs pseudo-aléatoires déterministes
+ * Partagé entre le parser (Node) et le viewer (navigateur) : pas de dépendance.
+ */
+
+/**
+ * Hash 32 bits d'une chaîne (FNV-1a)
+ */
+export function hashString(str) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < str.length; i++) {
+		hash ^= str.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+/**
+ * PRNG mulberry32 : retourne une fonction () => [0, 1)
+ */
+export function mulberry32(seed) {
+	let state = seed >>> 0;
+	return () => {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+/**
+ * Crée un PRNG à partir d'une ou plusieurs clés (ex: seed global + nom de planète)
+ */
+export function createSeededRandom(...keys) {
+	return mulberry32(hashString(keys.join(':')));
+}
@@ -0,0 +1,165 @@
+/**
+ * Calcul d'itinéraires hyperespace entre planètes
+ * Graphe implicite : deux planètes sont reliées si leur distance <= saut max.
+ * Les voisins sont trouvés via une grille spatiale (taille de cellule = saut max).
+ * Les segments d'hyperlanes sont des arêtes supplémentaires, moins coûteuses.
+ */
+
+import {MinHeap} from './min-heap.js';
+
+function distance(a, b) {
+	const dx = a.x - b.x;
+	const dy = a.y - b.y;
+	const dz = a.z - b.z;
+	return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+export class RoutePlanner {
+	/**
+	 * @param positions Tableau de {x, y, z}, indexé comme planetData
+	 * @param maxJump Distance maximale d'un saut (unités de la scène)
+	 */
+	constructor(positions, maxJump) {
+		this.positions = positions;
+		this.laneEdges = new Map();
+		this.laneCostFactor = 1;
+		this.setMaxJump(maxJump);
+	}
+
+	/**
+	 * Ajoute des hyperlanes (tableaux d'index ordonnés) au graphe
+	 * @param costFactor Coût d'un segment de lane relatif à sa distance (< 1 = favorisé)
+	 */
+	setLanes(lanes, costFactor) {
+		this.laneEdges = new Map();
+		this.laneCostFactor = costFactor;
+
+		const link = (a, b) => {
+			if (!this.laneEdges.has(a)) {
+				this.laneEdges.set(a, new Set());
+			}
+			this.laneEdges.get(a).add(b);
+		};
+
+		lanes.forEach(indices => {
+			for (let i = 0; i < indices.length - 1; i++) {
+				link(indices[i], indices[i + 1]);
+				link(indices[i + 1], indices[i]);
+			}
+		});
+	}
+
+	setMaxJump(maxJump) {
+		this.maxJump = maxJump;
+		this.cells = new Map();
+
+		this.positions.forEach((pos, index) => {
+			const key = this.cellKey(...this.cellOf(pos));
+			if (!this.cells.has(key)) {
+				this.cells.set(key, []);
+			}
+			this.cells.get(key).push(index);
+		});
+	}
+
+	cellOf(pos) {
+		return [
+			Math.floor(pos.x / this.maxJump),
+			Math.floor(pos.y / this.maxJump),
+			Math.floor(pos.z / this.maxJump),
+		];
+	}
+
+	cellKey(cx, cy, cz) {
+		return `${cx},${cy},${cz}`;
+	}
+
+	/**
+	 * Planètes atteignables en un saut depuis index: [[index, coût], ...]
+	 */
+	neighbors(index) {
+		const pos = this.positions[index];
+		const [cx, cy, cz] = this.cellOf(pos);
+		const result = [];
+
+		this.laneEdges.get(index)?.forEach(other => {
+			result.push([other, distance(pos, this.positions[other]) * this.laneCostFactor]);
+		});
+
+		for (let dx = -1; dx <= 1; dx++) {
+			for (let dy = -1; dy <= 1; dy++) {
+				for (let dz = -1; dz <= 1; dz++) {
+					const cell = this.cells.get(this.cellKey(cx + dx, cy + dy, cz + dz));
+					if (!cell) continue;
+
+					for (const other of cell) {
+						if (other === index) continue;
+						const d = distance(pos, this.positions[other]);
+						if (d <= this.maxJump) {
+							result.push([other, d]);
+						}
+					}
+				}
+			}
+		}
+
+		return result;
+	}
+
+	/**
+	 * Plus court chemin (A*) entre deux planètes
+	 * @returns {{path: number[], distance: number} | null} null si aucun itinéraire
+	 */
+	findPath(startIndex, endIndex) {
+		if (startIndex === endIndex) {
+			return { path: [startIndex], distance: 0 };
+		}
+
+		const goal = this.positions[endIndex];
+		// L'heuristique doit rester minorante même si tout le trajet se fait en lanes
+		const heuristicFactor = this.laneEdges.size > 0 ? Math.min(1, this.laneCostFactor) : 1;
+		const heuristic = (index) => distance(this.positions[index], goal) * heuristicFactor;
+
+		const cost = new Map([[startIndex, 0]]);
+		const previous = new Map();
+		const closed = new Set();
+		const open = new MinHeap();
+		open.push(startIndex, heuristic(startIndex));
+
+		while (open.size > 0) {
+			const current = open.pop();
+			if (closed.has(current)) continue;
+
+			if (current === endIndex) {
+				const path = [current];
+				while (previous.has(path[0])) {
+					path.unshift(previous.get(path[0]));
+				}
+				return { path, distance: this.pathLength(path) };
+			}
+
+			closed.add(current);
+
+			for (const [next, jump] of this.neighbors(current)) {
+				if (closed.has(next)) continue;
+
+				const nextCost = cost.get(current) + jump;
+				if (nextCost < (cost.get(next) ?? Infinity)) {
+					cost.set(next, nextCost);
+					previous.set(next, current);
+					open.push(next, nextCost + heuristic(next));
+				}
+			}
+		}
+
+		return null;
+	}
+
+	pathLength(path) {
+		let total = 0;
+		for (let i = 1; i < path.length; i++) {
+			total += distance(this.positions[path[i - 1]], this.positions[path[i]]);
+		}
+		return total;
+	}
+}
@@ -0,0 +1,192 @@
+/**
+ * Index de recherche des planètes
+ * - Nom approximatif (préfixe, sous-chaîne, fautes de frappe) sans tenir compte des accents
+ * - Filtres par champ: "sector:Arkanis", "region:Outer Rim", "grid:K-17" (ou simplement "K-17")
+ */
+
+const FIELD_ALIASES = {
+	name: 'name',
+	nom: 'name',
+	sector: 'sector',
+	secteur: 'sector',
+	region: 'region',
+	'région': 'region',
+	grid: 'grid',
+	grille: 'grid',
+};
+
+const FIELD_PATTERN = new RegExp(`\\b(${Object.keys(FIELD_ALIASES).join('|')}):`, 'gi');
+const GRID_PATTERN = /^([a-z])\s*-?\s*(\d{1,2})$/i;
+
+/**
+ * Minuscules, sans accents ni espaces superflus
+ */
+export function normalizeText(text) {
+	return (text || '')
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.toLowerCase()
+		.replace(/\s+/g, ' ')
+		.trim();
+}
+
+/**
+ * Normalise une case de grille ("k17", "K 17" → "K-17"), null si ce n'en est pas une
+ */
+function normalizeGrid(text) {
+	const match = text.trim().match(GRID_PATTERN);
+	return match ? `${match[1].toUpperCase()}-${parseInt(match[2], 10)}` : null;
+}
+
+// Lignes de la matrice de distance, réutilisées entre les appels
+let rows = [new Uint8Array(64), new Uint8Array(64), new Uint8Array(64)];
+
+/**
+ * Distance de Damerau-Levenshtein (transpositions adjacentes), arrêt anticipé au-delà de max
+ */
+function editDistance(a, b, max) {
+	if (Math.abs(a.length - b.length) > max) return max + 1;
+
+	if (b.length + 1 > rows[0].length) {
+		rows = rows.map(() => new Uint8Array(b.length + 1));
+	}
+
+	let [prevPrev, prev, current] = rows;
+	for (let j = 0; j <= b.length; j++) prev[j] = j;
+
+	for (let i = 1; i <= a.length; i++) {
+		current[0] = i;
+		let rowMin = i;
+
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a.charCodeAt(i - 1) === b.charCodeAt(j - 1) ? 0 : 1;
+			let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				value = Math.min(value, prevPrev[j - 2] + 1);
+			}
+
+			current[j] = value;
+			if (value < rowMin) rowMin = value;
+		}
+
+		if (rowMin > max) return max + 1;
+		[prevPrev, prev, current] = [prev, current, prevPrev];
+	}
+
+	return prev[b.length];
+}
+
+/**
+ * Score de correspondance d'un terme sur une valeur normalisée (0 = aucune)
+ * @param fuzzy Tolère les fautes de frappe (plus coûteux, réservé au nom)
+ */
+function matchScore(term, value, fuzzy = false) {
+	if (!term || !value) return 0;
+	if (value === term) return 100;
+	if (value.startsWith(term)) return 80 - Math.min(10, value.length - term.length);
+	if (value.includes(term)) {
+		return value.split(/[\s\-']/).some(word => word.startsWith(term)) ? 65 : 50;
+	}
+
+	if (!fuzzy || term.length < 3) return 0;
+
+	const maxDistance = term.length <= 5 ? 1 : 2;
+	let distance = editDistance(term, value, maxDistance);
+	if (distance > maxDistance && value.length > term.length) {
+		distance = editDistance(term, value.slice(0, term.length), maxDistance);
+	}
+
+	return distance <= maxDistance ? 40 - distance * 10 : 0;
+}
+
+/**
+ * Découpe la requête en texte libre + filtres par champ
+ */
+function parseQuery(query) {
+	const parts = query.split(FIELD_PATTERN);
+	const filters = [];
+	const text = normalizeText(parts[0]);
+
+	for (let i = 1; i < parts.length; i += 2) {
+		const field = FIELD_ALIASES[parts[i].toLowerCase()];
+		const value = normalizeText(parts[i + 1]);
+		if (value) filters.push({ field, value });
+	}
+
+	return { text, filters };
+}
+
+export class SearchIndex {
+	/**
+	 * @param planets Planètes (name, sector, region, grid), l'index du tableau est renvoyé dans les résultats
+	 */
+	constructor(planets) {
+		this.entries = planets.map((planet, index) => ({
+			index,
+			planet,
+			name: normalizeText(planet.name),
+			sector: normalizeText(planet.sector),
+			region: normalizeText(planet.region),
+			grid: planet.grid,
+		}));
+	}
+
+	scoreField(entry, field, value) {
+		if (field === 'grid') {
+			const grid = normalizeGrid(value);
+			return grid && entry.grid === grid ? 100 : 0;
+		}
+		return matchScore(value, entry[field], field === 'name');
+	}
+
+	scoreText(entry, text) {
+		const grid = normalizeGrid(text);
+		if (grid) {
+			return entry.grid === grid ? 90 : 0;
+		}
+
+		return Math.max(
+			matchScore(text, entry.name, true),
+			matchScore(text, entry.sector) * 0.6,
+			matchScore(text, entry.region) * 0.4
+		);
+	}
+
+	/**
+	 * @returns {{index: number, planet: object, score: number}[]} trié par pertinence
+	 */
+	search(query, limit = 10) {
+		const { text, filters } = parseQuery(query || '');
+		if (!text && filters.length === 0) return [];
+
+		const results = [];
+
+		for (const entry of this.entries) {
+			let score = 0;
+
+			if (text) {
+				score = this.scoreText(entry, text);
+				if (score === 0) continue;
+			}
+
+			let matchesFilters = true;
+			for (const { field, value } of filters) {
+				const fieldScore = this.scoreField(entry, field, value);
+				if (fieldScore === 0) {
+					matchesFilters = false;
+					break;
+				}
+				score += fieldScore * 0.1;
+			}
+
+			if (matchesFilters) {
+				results.push({ index: entry.index, planet: entry.planet, score });
+			}
+		}
+
+		return results
+			.sort((a, b) => b.score - a.score || a.planet.name.localeCompare(b.planet.name))
+			.slice(0, limit);
+	}
+}
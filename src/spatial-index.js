@@ -0,0 +1,238 @@
+/**
+ * Octree des positions de planètes : picking au rayon et requêtes « N plus proches »
+ * Les positions sont lues par référence ({x, y, z}) : appeler update(index) quand une planète bouge.
+ * Les points sortis de la boîte racine (répulsion) sont gardés dans une liste testée à part.
+ */
+
+import {MinHeap} from './min-heap.js';
+
+const OCTANT_OFFSETS = [
+	[-1, -1, -1], [1, -1, -1], [-1, 1, -1], [1, 1, -1],
+	[-1, -1, 1], [1, -1, 1], [-1, 1, 1], [1, 1, 1],
+];
+
+function createNode(x, y, z, halfSize, depth) {
+	return { x, y, z, halfSize, depth, items: [], children: null };
+}
+
+function nodeContains(node, p) {
+	return Math.abs(p.x - node.x) <= node.halfSize
+		&& Math.abs(p.y - node.y) <= node.halfSize
+		&& Math.abs(p.z - node.z) <= node.halfSize;
+}
+
+function octantOf(node, p) {
+	return (p.x >= node.x ? 1 : 0) | (p.y >= node.y ? 2 : 0) | (p.z >= node.z ? 4 : 0);
+}
+
+/**
+ * Distance² d'un point à la boîte d'un nœud (0 si dedans)
+ */
+function nodeDistanceSq(node, p) {
+	const dx = Math.max(0, Math.abs(p.x - node.x) - node.halfSize);
+	const dy = Math.max(0, Math.abs(p.y - node.y) - node.halfSize);
+	const dz = Math.max(0, Math.abs(p.z - node.z) - node.halfSize);
+	return dx * dx + dy * dy + dz * dz;
+}
+
+/**
+ * Le rayon traverse-t-il la boîte du nœud élargie de margin ? (méthode des slabs)
+ */
+function rayHitsNode(ray, node, margin) {
+	const size = node.halfSize + margin;
+	let tMin = 0;
+	let tMax = Infinity;
+
+	for (const axis of ['x', 'y', 'z']) {
+		const origin = ray.origin[axis];
+		const direction = ray.direction[axis];
+		const min = node[axis] - size;
+		const max = node[axis] + size;
+
+		if (Math.abs(direction) < 1e-12) {
+			if (origin < min || origin > max) return false;
+			continue;
+		}
+
+		let t1 = (min - origin) / direction;
+		let t2 = (max - origin) / direction;
+		if (t1 > t2) [t1, t2] = [t2, t1];
+		tMin = Math.max(tMin, t1);
+		tMax = Math.min(tMax, t2);
+		if (tMin > tMax) return false;
+	}
+
+	return true;
+}
+
+export class SpatialIndex {
+	/**
+	 * @param positions Tableau de {x, y, z} (références vivantes), indexé comme planetData
+	 * @param options.halfSize Demi-côté de la boîte racine, centrée sur l'origine
+	 * @param options.capacity Nombre de points avant subdivision d'une feuille
+	 * @param options.maxDepth Profondeur maximale
+	 */
+	constructor(positions, { halfSize, capacity = 16, maxDepth = 8 }) {
+		this.positions = positions;
+		this.capacity = capacity;
+		this.maxDepth = maxDepth;
+		this.root = createNode(0, 0, 0, halfSize, 0);
+		this.outside = new Set();
+		this.leafOf = new Array(positions.length).fill(null);
+
+		positions.forEach((_, index) => this.insert(index));
+	}
+
+	insert(index) {
+		const p = this.positions[index];
+
+		if (!nodeContains(this.root, p)) {
+			this.outside.add(index);
+			return;
+		}
+
+		let node = this.root;
+		while (node.children) {
+			node = node.children[octantOf(node, p)];
+		}
+
+		node.items.push(index);
+		this.leafOf[index] = node;
+
+		if (node.items.length > this.capacity && node.depth < this.maxDepth) {
+			this.split(node);
+		}
+	}
+
+	split(node) {
+		const half = node.halfSize / 2;
+		node.children = OCTANT_OFFSETS.map(([ox, oy, oz]) =>
+			createNode(node.x + ox * half, node.y + oy * half, node.z + oz * half, half, node.depth + 1)
+		);
+
+		const items = node.items;
+		node.items = [];
+		items.forEach(index => {
+			const child = node.children[octantOf(node, this.positions[index])];
+			child.items.push(index);
+			this.leafOf[index] = child;
+		});
+	}
+
+	remove(index) {
+		if (this.outside.delete(index)) return;
+
+		const leaf = this.leafOf[index];
+		if (!leaf) return;
+
+		const i = leaf.items.indexOf(index);
+		leaf.items[i] = leaf.items[leaf.items.length - 1];
+		leaf.items.pop();
+		this.leafOf[index] = null;
+	}
+
+	/**
+	 * À appeler après déplacement d'une planète (ne fait rien si elle reste dans sa feuille)
+	 */
+	update(index) {
+		const leaf = this.leafOf[index];
+		if (leaf && nodeContains(leaf, this.positions[index])) return;
+
+		this.remove(index);
+		this.insert(index);
+	}
+
+	/**
+	 * Point le plus proche de l'origine du rayon parmi ceux qu'il frôle
+	 * Tolérance autour du rayon : radius + tolerance × distance le long du rayon (un cône, pour
+	 * garder une marge constante en pixels à l'écran).
+	 * @param filter (index) => boolean
+	 * @returns {{index: number, distance: number} | null}
+	 */
+	raycast(ray, { radius = 0, tolerance = 0, filter = () => true } = {}) {
+		const { origin, direction } = ray;
+		let best = null;
+
+		const testPoint = (index) => {
+			const p = this.positions[index];
+			const dx = p.x - origin.x;
+			const dy = p.y - origin.y;
+			const dz = p.z - origin.z;
+			const t = dx * direction.x + dy * direction.y + dz * direction.z;
+			if (t < 0 || (best && t >= best.distance)) return;
+
+			const allowed = radius + tolerance * t;
+			const perpendicularSq = dx * dx + dy * dy + dz * dz - t * t;
+			if (perpendicularSq > allowed * allowed || !filter(index)) return;
+
+			best = { index, distance: t };
+		};
+
+		const stack = [this.root];
+		while (stack.length > 0) {
+			const node = stack.pop();
+
+			// Marge de la boîte : tolérance maximale atteignable dans ce nœud
+			const dx = node.x - origin.x;
+			const dy = node.y - origin.y;
+			const dz = node.z - origin.z;
+			const farthest = Math.sqrt(dx * dx + dy * dy + dz * dz) + node.halfSize * Math.sqrt(3);
+			if (!rayHitsNode(ray, node, radius + tolerance * farthest)) continue;
+
+			if (node.children) {
+				stack.push(...node.children);
+			} else {
+				node.items.forEach(testPoint);
+			}
+		}
+
+		this.outside.forEach(testPoint);
+		return best;
+	}
+
+	/**
+	 * Les count points les plus proches de point, du plus proche au plus lointain
+	 * @param filter (index) => boolean
+	 * @returns {{index: number, distance: number}[]}
+	 */
+	nearest(point, count, filter = () => true) {
+		if (!(count > 0)) return [];
+
+		const results = [];
+		const worstSq = () => results.length < count ? Infinity : results[results.length - 1].distanceSq;
+
+		const consider = (index) => {
+			const p = this.positions[index];
+			const dx = p.x - point.x;
+			const dy = p.y - point.y;
+			const dz = p.z - point.z;
+			const distanceSq = dx * dx + dy * dy + dz * dz;
+			if (distanceSq >= worstSq() || !filter(index)) return;
+
+			let i = results.length;
+			while (i > 0 && results[i - 1].distanceSq > distanceSq) i--;
+			results.splice(i, 0, { index, distanceSq });
+			if (results.length > count) results.pop();
+		};
+
+		this.outside.forEach(consider);
+
+		// Parcours « meilleur d'abord » : les nœuds sont visités par distance croissante
+		const queue = new MinHeap();
+		queue.push(this.root, nodeDistanceSq(this.root, point));
+
+		while (queue.size > 0) {
+			const node = queue.pop();
+			const nodeDistance = nodeDistanceSq(node, point);
+			if (nodeDistance >= worstSq()) break;
+
+			if (node.children) {
+				node.children.forEach(child => queue.push(child, nodeDistanceSq(child, point)));
+			} else {
+				node.items.forEach(consider);
+			}
+		}
+
+		return results.map(({ index, distanceSq }) => ({ index, distance: Math.sqrt(distanceSq) }));
+	}
+}
@@ -0,0 +1,126 @@
+/**
+ * Cache LRU des textures HD, borné par un budget mémoire (estimé depuis les dimensions)
+ * Une entrée est une texture ou un objet de textures (calques procéduraux d'un biome).
+ * Les entrées utilisées par un mesh affiché sont retenues (acquire/release) et jamais évincées :
+ * le budget peut alors être dépassé temporairement, l'éviction reprend au release.
+ */
+
+const BYTES_PER_MB = 1024 * 1024;
+
+function texturesOf(value) {
+	return value.isTexture ? [value] : Object.values(value);
+}
+
+/**
+ * Octets occupés en mémoire GPU (RGBA 8 bits, + 1/3 pour la chaîne de mipmaps)
+ */
+export function estimateTextureBytes(texture) {
+	const { width = 0, height = 0 } = texture.image ?? {};
+	const bytes = width * height * 4;
+	return texture.generateMipmaps ? Math.round(bytes * 4 / 3) : bytes;
+}
+
+export function disposeTexture(texture) {
+	texture.dispose();
+	// Les ImageBitmap gardent aussi une copie décodée côté CPU
+	texture.image?.close?.();
+}
+
+export class TextureCache {
+	/**
+	 * @param options.budgetMB Budget mémoire en Mo
+	 */
+	constructor({ budgetMB }) {
+		this.budget = budgetMB * BYTES_PER_MB;
+		this.entries = new Map();
+		this.bytes = 0;
+		this.hits = 0;
+		this.misses = 0;
+		this.evictions = 0;
+	}
+
+	has(key) {
+		return this.entries.has(key);
+	}
+
+	/**
+	 * Valeur en cache (marquée comme la plus récente), undefined si absente
+	 */
+	get(key) {
+		const entry = this.entries.get(key);
+		if (!entry) {
+			this.misses++;
+			return undefined;
+		}
+
+		this.hits++;
+		this.entries.delete(key);
+		this.entries.set(key, entry);
+		return entry.value;
+	}
+
+	set(key, value) {
+		if (this.entries.has(key)) this.delete(key);
+
+		const bytes = texturesOf(value).reduce((sum, texture) => sum + estimateTextureBytes(texture), 0);
+		this.entries.set(key, { value, bytes, refs: 0 });
+		this.bytes += bytes;
+		// La nouvelle entrée n'est pas encore retenue : elle n'est pas candidate à sa propre éviction
+		this.evict(key);
+	}
+
+	/**
+	 * Retient une entrée tant qu'un mesh l'utilise
+	 */
+	acquire(key) {
+		const entry = this.entries.get(key);
+		if (entry) entry.refs++;
+	}
+
+	release(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return;
+
+		entry.refs = Math.max(0, entry.refs - 1);
+		this.evict();
+	}
+
+	delete(key) {
+		const entry = this.entries.get(key);
+		if (!entry) return;
+
+		this.entries.delete(key);
+		this.bytes -= entry.bytes;
+		texturesOf(entry.value).forEach(disposeTexture);
+	}
+
+	/**
+	 * Libère les entrées non retenues les moins récemment utilisées jusqu'à repasser sous le budget
+	 */
+	evict(keepKey = null) {
+		for (const [key, entry] of this.entries) {
+			if (this.bytes <= this.budget) break;
+			if (entry.refs > 0 || key === keepKey) continue;
+
+			this.delete(key);
+			this.evictions++;
+		}
+	}
+
+	getStats() {
+		let retained = 0;
+		this.entries.forEach(entry => {
+			if (entry.refs > 0) retained++;
+		});
+
+		return {
+			entries: this.entries.size,
+			retained,
+			megabytes: this.bytes / BYTES_PER_MB,
+			budgetMegabytes: this.budget / BYTES_PER_MB,
+			hits: this.hits,
+			misses: this.misses,
+			evictions: this.evictions,
+		};
+	}
+}
@@ -0,0 +1,87 @@
+import * as THREE from 'three';
+
+/**
+ * Téléchargement des textures HD avec un nombre limité de requêtes simultanées
+ * Les demandes attendent dans une file par priorité (la plus basse d'abord, puis ordre d'arrivée).
+ * Un AbortSignal retire une demande de la file ou interrompt son téléchargement.
+ */
+
+function abortError() {
+	return new DOMException('Chargement annulé', 'AbortError');
+}
+
+export function isAbortError(error) {
+	return error?.name === 'AbortError';
+}
+
+export class TextureStreamer {
+	/**
+	 * @param options.concurrency Nombre maximal de téléchargements simultanés
+	 */
+	constructor({ concurrency = 2 } = {}) {
+		this.concurrency = concurrency;
+		this.active = 0;
+		this.queue = [];
+	}
+
+	/**
+	 * @param url Image (PNG, WebP...) à charger
+	 * @param options.priority Ordre de passage dans la file (0 = en premier)
+	 * @param options.signal AbortSignal d'annulation
+	 * @returns {Promise<THREE.Texture>}
+	 */
+	load(url, { priority = 0, signal } = {}) {
+		if (signal?.aborted) return Promise.reject(abortError());
+
+		return new Promise((resolve, reject) => {
+			const task = { url, priority, signal, resolve, reject };
+
+			task.onAbort = () => {
+				const i = this.queue.indexOf(task);
+				if (i >= 0) {
+					this.queue.splice(i, 1);
+					reject(abortError());
+				}
+			};
+			signal?.addEventListener('abort', task.onAbort, { once: true });
+
+			let i = this.queue.length;
+			while (i > 0 && this.queue[i - 1].priority > priority) i--;
+			this.queue.splice(i, 0, task);
+
+			this.next();
+		});
+	}
+
+	next() {
+		while (this.active < this.concurrency && this.queue.length > 0) {
+			const task = this.queue.shift();
+			this.active++;
+
+			this.fetchTexture(task.url, task.signal)
+				.then(task.resolve, task.reject)
+				.finally(() => {
+					task.signal?.removeEventListener('abort', task.onAbort);
+					this.active--;
+					this.next();
+				});
+		}
+	}
+
+	async fetchTexture(url, signal) {
+		const response = await fetch(url, { signal });
+		if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+		// Retournement au décodage : les ImageBitmap ignorent texture.flipY
+		const bitmap = await createImageBitmap(await response.blob(), { imageOrientation: 'flipY' });
+		if (signal?.aborted) {
+			bitmap.close();
+			throw abortError();
+		}
+
+		const texture = new THREE.Texture(bitmap);
+		texture.flipY = false;
+		texture.needsUpdate = true;
+		return texture;
+	}
+}